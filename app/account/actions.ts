@@ -0,0 +1,80 @@
+'use server'
+
+import { revalidatePath } from 'next/cache'
+import { redirect } from 'next/navigation'
+import { stripe } from '@/lib/clients'
+import { prisma } from '@/lib/prisma'
+import { requireCustomer } from '@/lib/auth'
+import { billingCustomerIds } from '@/lib/customerAccounts'
+import { changePlanInterval, pausePlan, resumePlan, skipNextKit } from '@/lib/subscriptionPlans'
+
+/**
+ * Open a Stripe Billing Portal session for one of the signed-in customer's Stripe
+ * customers. Card, cadence and cancellation changes made there come back through
+ * the customer.subscription.* webhooks.
+ */
+export async function openBillingPortalAction(formData: FormData) {
+  const customer = await requireCustomer('/account')
+  const requested = formData.get('customerId')?.toString()
+  const allowed = await billingCustomerIds(customer)
+  const stripeCustomerId = requested ? allowed.find((id) => id === requested) : allowed[0]
+  if (!stripeCustomerId) throw new Error('No billing account found for this sign-in')
+
+  if (!process.env.STRIPE_SECRET_KEY) throw new Error('Missing STRIPE_SECRET_KEY')
+
+  const site = process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000'
+  const session = await stripe.billingPortal.sessions.create({
+    customer: stripeCustomerId,
+    return_url: `${site}/account`,
+    ...(process.env.STRIPE_PORTAL_CONFIGURATION_ID
+      ? { configuration: process.env.STRIPE_PORTAL_CONFIGURATION_ID }
+      : {}),
+  })
+  redirect(session.url)
+}
+
+/**
+ * Run a retest plan change for one of the signed-in customer's subscriptions.
+ * Refusals (plan ending, no quarterly price…) come back as ?planError on /account.
+ */
+async function changePlan(formData: FormData, change: (stripeSubscriptionId: string, actor: string) => Promise<unknown>) {
+  const customer = await requireCustomer('/account')
+  const id = formData.get('subscriptionId')?.toString()
+  const subscription = id
+    ? await prisma.subscription.findFirst({
+        where: {
+          id,
+          OR: [{ userId: customer.id }, { userId: null, email: { equals: customer.email, mode: 'insensitive' } }],
+        },
+      })
+    : null
+  if (!subscription) throw new Error('Retest plan not found')
+
+  try {
+    await change(subscription.stripeSubscriptionId, `customer:${customer.id}`)
+  } catch (err: any) {
+    if (!err?.status || err.status >= 500) throw err
+    redirect(`/account?planError=${encodeURIComponent(err.message)}`)
+  }
+  revalidatePath('/account')
+  redirect('/account')
+}
+
+export async function skipNextKitAction(formData: FormData) {
+  await changePlan(formData, (subId, actor) => skipNextKit(subId, { actor }))
+}
+
+export async function pausePlanAction(formData: FormData) {
+  const cycles = Number(formData.get('cycles'))
+  await changePlan(formData, (subId, actor) => pausePlan(subId, cycles, { actor }))
+}
+
+export async function resumePlanAction(formData: FormData) {
+  await changePlan(formData, (subId, actor) => resumePlan(subId, { actor }))
+}
+
+export async function changePlanIntervalAction(formData: FormData) {
+  const kind = formData.get('kind')?.toString()
+  if (kind !== 'month' && kind !== 'quarter') throw new Error('Pick monthly or quarterly')
+  await changePlan(formData, (subId, actor) => changePlanInterval(subId, kind, { actor }))
+}
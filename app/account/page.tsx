@@ -0,0 +1,197 @@
+import Link from 'next/link'
+import { prisma } from '@/lib/prisma'
+import { requireCustomer } from '@/lib/auth'
+import { ORDER_STATUS_LABELS, isOrderStatus } from '@/lib/orderStatus'
+import { formatMoney } from '@/lib/money'
+import SignOutButton from '@/components/SignOutButton'
+import { billingCustomerIds } from '@/lib/customerAccounts'
+import { MAX_PAUSE_CYCLES } from '@/lib/subscriptionPlans'
+import {
+  changePlanIntervalAction,
+  openBillingPortalAction,
+  pausePlanAction,
+  resumePlanAction,
+  skipNextKitAction,
+} from './actions'
+
+export const dynamic = 'force-dynamic'
+
+const SUBSCRIPTION_STATUS_LABELS: Record<string, string> = {
+  active: 'Active',
+  trialing: 'Active',
+  past_due: 'Payment due',
+  unpaid: 'Payment due',
+  paused: 'Paused',
+  canceled: 'Cancelled',
+  incomplete: 'Awaiting payment',
+  incomplete_expired: 'Expired',
+}
+
+const fmtDate = (d: Date) => d.toLocaleDateString('en-IE', { day: 'numeric', month: 'short', year: 'numeric' })
+
+const CHANGEABLE_STATUSES = ['active', 'trialing', 'past_due']
+
+/** Monthly or quarterly, from the mirrored billing interval */
+function cadence(s: { interval: string | null; intervalCount: number | null }) {
+  if (s.interval !== 'month') return null
+  return s.intervalCount === 1 ? 'monthly' : s.intervalCount === 3 ? 'quarterly' : null
+}
+
+export default async function AccountPage({ searchParams }: { searchParams: { planError?: string } }) {
+  const customer = await requireCustomer('/account')
+  // Claimed orders, plus guest orders with the (verified) sign-in email not claimed yet
+  const mine = {
+    OR: [{ userId: customer.id }, { userId: null, email: { equals: customer.email, mode: 'insensitive' as const } }],
+  }
+  const [orders, subscriptions, billingIds] = await Promise.all([
+    prisma.order.findMany({ where: mine, orderBy: { createdAt: 'desc' }, include: { items: true } }),
+    prisma.subscription.findMany({
+      where: mine,
+      orderBy: { createdAt: 'desc' },
+      include: { orders: { orderBy: { createdAt: 'desc' }, take: 1, include: { items: true } } },
+    }),
+    billingCustomerIds(customer),
+  ])
+
+  return (
+    <main className="mx-auto max-w-3xl px-6 py-12">
+      <div className="flex items-baseline justify-between">
+        <h1 className="text-3xl font-semibold">Your account</h1>
+        <SignOutButton />
+      </div>
+      <p className="mt-1 text-sm text-gray-600">Signed in as {customer.email}</p>
+
+      {subscriptions.length > 0 && (
+        <>
+          <h2 className="mt-8 text-xl font-semibold">Retest plans</h2>
+          {searchParams.planError && <p className="mt-2 text-sm text-red-600">{searchParams.planError}</p>}
+          <ul className="mt-4 divide-y border-y">
+            {subscriptions.map((s) => {
+              const current = cadence(s)
+              const other = current === 'monthly' ? 'quarterly' : 'monthly'
+              const changeable = CHANGEABLE_STATUSES.includes(s.status) && !s.cancelAtPeriodEnd && current
+              return (
+                <li key={s.id} className="py-4">
+                  <div className="flex flex-wrap items-baseline justify-between gap-2">
+                    <span className="font-medium">
+                      {s.orders[0]?.items.map((i) => i.name).join(', ') || 'Retest plan'}
+                      {current && <span className="ml-2 text-sm text-gray-500">{current}</span>}
+                    </span>
+                    <span className="text-sm">
+                      {SUBSCRIPTION_STATUS_LABELS[s.status] || s.status}
+                      {s.currentPeriodEnd && s.status !== 'canceled' && s.cancelAtPeriodEnd && (
+                        <span className="text-gray-500"> · ends {fmtDate(s.currentPeriodEnd)}</span>
+                      )}
+                    </span>
+                  </div>
+                  {changeable && (
+                    <>
+                      <p className="mt-1 text-sm text-gray-700">
+                        {s.nextShipmentAt ? `Next kit ${fmtDate(s.nextShipmentAt)}` : 'Paused: no kits until you resume'}
+                        {s.pausedUntil && ` · skipping kits until ${fmtDate(s.pausedUntil)}`}
+                        {s.scheduledChangeAt && ` · switching to ${other} from ${fmtDate(s.scheduledChangeAt)}`}
+                      </p>
+                      <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+                        {s.nextShipmentAt && (
+                          <form action={skipNextKitAction}>
+                            <input type="hidden" name="subscriptionId" value={s.id} />
+                            <button type="submit" className="rounded border px-2 py-1 hover:bg-gray-50">
+                              Skip next kit
+                            </button>
+                          </form>
+                        )}
+                        {s.nextShipmentAt && (
+                          <form action={pausePlanAction} className="flex items-center gap-1">
+                            <input type="hidden" name="subscriptionId" value={s.id} />
+                            <select name="cycles" aria-label="Kits to skip" className="rounded border px-1 py-1">
+                              {Array.from({ length: MAX_PAUSE_CYCLES }, (_, i) => i + 1).map((n) => (
+                                <option key={n} value={n}>{n} {n === 1 ? 'kit' : 'kits'}</option>
+                              ))}
+                            </select>
+                            <button type="submit" className="rounded border px-2 py-1 hover:bg-gray-50">Pause</button>
+                          </form>
+                        )}
+                        {(s.pausedUntil || !s.nextShipmentAt) && (
+                          <form action={resumePlanAction}>
+                            <input type="hidden" name="subscriptionId" value={s.id} />
+                            <button type="submit" className="rounded border px-2 py-1 hover:bg-gray-50">
+                              Resume now
+                            </button>
+                          </form>
+                        )}
+                        <form action={changePlanIntervalAction}>
+                          <input type="hidden" name="subscriptionId" value={s.id} />
+                          {/* With a switch pending, picking the current cadence cancels it */}
+                          <input
+                            type="hidden"
+                            name="kind"
+                            value={(s.scheduledChangeAt ? current : other) === 'monthly' ? 'month' : 'quarter'}
+                          />
+                          <button type="submit" className="rounded border px-2 py-1 hover:bg-gray-50">
+                            {s.scheduledChangeAt ? `Stay ${current}` : `Switch to ${other}`}
+                          </button>
+                        </form>
+                      </div>
+                    </>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        </>
+      )}
+
+      {billingIds.length > 0 && (
+        <div className="mt-4 flex flex-wrap gap-3">
+          {/* One button per Stripe customer; usually just one, more if older guest checkouts still bill */}
+          {billingIds.map((id, i) => (
+            <form key={id} action={openBillingPortalAction}>
+              <input type="hidden" name="customerId" value={id} />
+              <button type="submit" className="rounded border px-3 py-2 text-sm hover:bg-gray-50">
+                {billingIds.length > 1 ? `Manage billing (${i + 1})` : 'Manage billing'}
+              </button>
+            </form>
+          ))}
+          <p className="w-full text-sm text-gray-600">
+            Update your card, view invoices or cancel a plan.
+          </p>
+        </div>
+      )}
+
+      <h2 className="mt-8 text-xl font-semibold">Orders</h2>
+      {orders.length === 0 ? (
+        <p className="mt-4 text-gray-700">
+          No orders for this email yet. <Link href="/tests" className="underline">Browse our tests</Link>
+        </p>
+      ) : (
+        <ul className="mt-4 divide-y border-y">
+          {orders.map((o) => (
+            <li key={o.id} className="py-4">
+              <div className="flex flex-wrap items-baseline justify-between gap-2">
+                <span className="font-medium">
+                  {fmtDate(o.createdAt)}
+                  {o.orderRef && <span className="ml-2 text-sm text-gray-500">#{o.orderRef}</span>}
+                </span>
+                <span className="text-sm">{isOrderStatus(o.status) ? ORDER_STATUS_LABELS[o.status] : o.status}</span>
+              </div>
+              <ul className="mt-1 text-sm text-gray-700">
+                {o.items.map((i) => (
+                  <li key={i.id}>{i.quantity} × {i.name}</li>
+                ))}
+              </ul>
+              {o.amountTotal != null && (
+                <p className="mt-1 text-sm">
+                  {formatMoney(o.amountTotal, o.currency || 'eur')}
+                  {o.mode === 'subscription' && <span className="text-gray-500"> · subscription</span>}
+                  {o.amountRefunded > 0 && (
+                    <span className="text-red-600"> · refunded {formatMoney(o.amountRefunded, o.currency || 'eur')}</span>
+                  )}
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </main>
+  )
+}
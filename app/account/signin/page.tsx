@@ -0,0 +1,49 @@
+import { redirect } from 'next/navigation'
+import { currentCustomer } from '@/lib/auth'
+import SignInForm from '@/components/SignInForm'
+
+export const dynamic = 'force-dynamic'
+
+// NextAuth error codes that can reach this page (pages.error in lib/auth.ts)
+const ERRORS: Record<string, string> = {
+  Verification: 'That sign-in link has expired or was already used. Request a new one below.',
+  EmailSignin: 'We could not send the sign-in email. Please try again.',
+}
+
+/** Only same-site paths, so the link can't bounce shoppers to another site */
+function safeCallback(url?: string) {
+  return url && url.startsWith('/') && !url.startsWith('//') ? url : '/account'
+}
+
+export default async function SignInPage({
+  searchParams,
+}: {
+  searchParams: { sent?: string; error?: string; callbackUrl?: string }
+}) {
+  const callbackUrl = safeCallback(searchParams.callbackUrl)
+  if (await currentCustomer()) redirect(callbackUrl)
+
+  if (searchParams.sent) {
+    return (
+      <main className="mx-auto max-w-md px-6 py-12">
+        <h1 className="text-3xl font-semibold">Check your email</h1>
+        <p className="mt-4 text-gray-700">
+          We sent you a sign-in link. It works once and expires in 24 hours.
+        </p>
+      </main>
+    )
+  }
+
+  return (
+    <main className="mx-auto max-w-md px-6 py-12">
+      <h1 className="text-3xl font-semibold">Sign in</h1>
+      <p className="mt-2 text-gray-700">
+        Enter the email you ordered with and we will send you a link to your account. No password needed.
+      </p>
+      {searchParams.error && (
+        <p className="mt-4 text-red-600">{ERRORS[searchParams.error] || 'Sign-in failed. Please try again.'}</p>
+      )}
+      <SignInForm callbackUrl={callbackUrl} />
+    </main>
+  )
+}
@@ -0,0 +1,14 @@
+'use server'
+
+import { revalidatePath } from 'next/cache'
+import { currentAdmin } from '@/lib/adminAuth'
+import { fixCatalogDrift } from '@/lib/catalogDrift'
+
+export async function fixDriftAction(formData: FormData) {
+  const admin = currentAdmin()
+  const findingId = formData.get('findingId')?.toString()
+  if (!findingId) throw new Error('Missing finding')
+
+  await fixCatalogDrift(findingId, { actor: `admin:${admin}` })
+  revalidatePath('/admin/catalog')
+}
@@ -0,0 +1,82 @@
+import Link from 'next/link'
+import { FIX_LABELS, findCatalogDrift, type DriftFinding } from '@/lib/catalogDrift'
+import { fixDriftAction } from './actions'
+
+export const dynamic = 'force-dynamic'
+
+const KIND_LABELS: Record<DriftFinding['kind'], string> = {
+  missing_stripe_product: 'Not in Stripe',
+  stripe_product_not_found: 'Stripe product missing',
+  stripe_product_archived: 'Stripe product archived',
+  missing_price: 'Price missing',
+  price_not_found: 'Price deleted',
+  price_archived: 'Price archived',
+  price_amount_mismatch: 'Price mismatch',
+  orphaned_stripe_product: 'Orphaned Stripe product',
+  duplicate_stripe_product: 'Duplicate Stripe product',
+  order_unknown_price: 'Order references unknown price',
+}
+
+export default async function CatalogDriftPage() {
+  let findings: DriftFinding[] = []
+  let error: string | undefined
+  try {
+    findings = await findCatalogDrift()
+  } catch (err: any) {
+    error = err?.message || 'Drift check failed'
+  }
+
+  return (
+    <main className="mx-auto max-w-5xl px-6 py-10">
+      <div className="flex items-baseline justify-between">
+        <h1 className="text-2xl font-semibold">Catalog drift</h1>
+        <Link href="/admin/orders" className="text-sm underline">Orders</Link>
+      </div>
+      <p className="text-sm text-gray-600 mt-1">
+        Sanity products vs Stripe products and prices, and prices referenced by orders.
+      </p>
+
+      {error ? (
+        <p className="mt-6 text-red-600">{error}</p>
+      ) : findings.length === 0 ? (
+        <p className="mt-6 text-green-700">No drift: Stripe matches Sanity.</p>
+      ) : (
+        <div className="mt-6 overflow-x-auto">
+          <table className="min-w-full text-sm border">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="text-left p-2 border">Issue</th>
+                <th className="text-left p-2 border">Product</th>
+                <th className="text-left p-2 border">Details</th>
+                <th className="text-left p-2 border">Fix</th>
+              </tr>
+            </thead>
+            <tbody>
+              {findings.map((f) => (
+                <tr key={f.id} className="align-top">
+                  <td className="p-2 border whitespace-nowrap">{KIND_LABELS[f.kind]}</td>
+                  <td className="p-2 border">
+                    {f.slug ? <Link href={`/tests/${f.slug}`} className="underline">{f.slug}</Link> : f.sanityId || '—'}
+                  </td>
+                  <td className="p-2 border">{f.message}</td>
+                  <td className="p-2 border">
+                    {f.fix ? (
+                      <form action={fixDriftAction}>
+                        <input type="hidden" name="findingId" value={f.id} />
+                        <button type="submit" className="rounded border px-2 py-1 hover:bg-gray-50">
+                          {FIX_LABELS[f.fix]}
+                        </button>
+                      </form>
+                    ) : (
+                      <span className="text-gray-500">Manual</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </main>
+  )
+}
@@ -0,0 +1,14 @@
+'use server'
+
+import { revalidatePath } from 'next/cache'
+import { currentAdmin } from '@/lib/adminAuth'
+import { mergeStripeCustomers } from '@/lib/customerAccounts'
+
+export async function mergeCustomersAction(formData: FormData) {
+  const admin = currentAdmin()
+  const primaryId = formData.get('primaryId')?.toString()
+  if (!primaryId) throw new Error('Pick the customer to keep')
+
+  await mergeStripeCustomers(primaryId, { actor: `admin:${admin}` })
+  revalidatePath('/admin/customers')
+}
@@ -0,0 +1,83 @@
+import Link from 'next/link'
+import { findCustomerConflicts, type CustomerConflict } from '@/lib/customerAccounts'
+import { mergeCustomersAction } from './actions'
+
+export const dynamic = 'force-dynamic'
+
+const fmt = (d: Date) => d.toISOString().slice(0, 10)
+
+export default async function CustomerConflictsPage() {
+  let conflicts: CustomerConflict[] = []
+  let error: string | undefined
+  try {
+    conflicts = await findCustomerConflicts()
+  } catch (err: any) {
+    error = err?.message || 'Customer check failed'
+  }
+
+  return (
+    <main className="mx-auto max-w-5xl px-6 py-10">
+      <div className="flex items-baseline justify-between">
+        <h1 className="text-2xl font-semibold">Duplicate customers</h1>
+        <Link href="/admin/orders" className="text-sm underline">Orders</Link>
+      </div>
+      <p className="text-sm text-gray-600 mt-1">
+        Emails with more than one Stripe customer, usually from guest checkouts. Merging keeps the chosen
+        customer for the account and its orders; the others are marked merged in Stripe, not deleted, and
+        any subscriptions on them keep billing there.
+      </p>
+
+      {error ? (
+        <p className="mt-6 text-red-600">{error}</p>
+      ) : conflicts.length === 0 ? (
+        <p className="mt-6 text-green-700">No duplicates: one Stripe customer per email.</p>
+      ) : (
+        conflicts.map((c) => (
+          <form key={c.email} action={mergeCustomersAction} className="mt-6 rounded border p-4">
+            <h2 className="font-medium">
+              {c.email}
+              {!c.userId && <span className="ml-2 text-sm text-gray-500">(no account)</span>}
+            </h2>
+            <table className="mt-2 min-w-full text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-1 pr-4">Keep</th>
+                  <th className="py-1 pr-4">Customer</th>
+                  <th className="py-1 pr-4">Created</th>
+                  <th className="py-1 pr-4">Orders</th>
+                  <th className="py-1 pr-4">Live subscriptions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {c.customers.map((cu) => (
+                  <tr key={cu.id} className="border-b">
+                    <td className="py-1 pr-4">
+                      <input
+                        type="radio"
+                        name="primaryId"
+                        value={cu.id}
+                        defaultChecked={cu.id === c.suggestedPrimaryId}
+                        aria-label={`Keep ${cu.id}`}
+                      />
+                    </td>
+                    <td className="py-1 pr-4">
+                      {cu.id}
+                      {cu.name && <span className="text-gray-500"> · {cu.name}</span>}
+                      {cu.isAccountCustomer && <span className="ml-1 text-green-700">(account)</span>}
+                    </td>
+                    <td className="py-1 pr-4">{fmt(cu.created)}</td>
+                    <td className="py-1 pr-4">{cu.orders}</td>
+                    <td className="py-1 pr-4">{cu.liveSubscriptions}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <button type="submit" className="mt-3 rounded border px-2 py-1 hover:bg-gray-50">
+              Merge the others into the selected customer
+            </button>
+          </form>
+        ))
+      )}
+    </main>
+  )
+}
@@ -0,0 +1,64 @@
+'use server'
+
+import { revalidatePath } from 'next/cache'
+import { stripe } from '@/lib/clients'
+import { prisma } from '@/lib/prisma'
+import { currentAdmin } from '@/lib/adminAuth'
+import { isOrderStatus, transitionOrder } from '@/lib/orderStatus'
+import { parseMoneyInput } from '@/lib/money'
+
+export async function updateOrderStatusAction(formData: FormData) {
+  const admin = currentAdmin()
+  const orderId = formData.get('orderId')?.toString()
+  const status = formData.get('status')?.toString()
+  const note = formData.get('note')?.toString() || undefined
+  if (!orderId || !isOrderStatus(status)) throw new Error('Missing order or status')
+
+  await transitionOrder(orderId, status, { actor: `admin:${admin}`, note })
+  revalidatePath('/admin/orders')
+}
+
+/**
+ * Refund an order (fully, or partially when an amount is given) through Stripe.
+ * The refund row records the admin; the charge.refunded webhook then updates
+ * the order's refunded total and status.
+ */
+export async function refundOrderAction(formData: FormData) {
+  const admin = currentAdmin()
+  const orderId = formData.get('orderId')?.toString()
+  const amountInput = formData.get('amount')?.toString().trim()
+  if (!orderId) throw new Error('Missing order')
+
+  const order = await prisma.order.findUnique({ where: { id: orderId } })
+  if (!order) throw new Error('Order not found')
+  if (!order.stripePaymentIntentId) throw new Error('Order has no Stripe payment to refund')
+
+  const amount = amountInput ? parseMoneyInput(amountInput, order.currency || 'eur') : undefined
+  if (amount === null || amount === 0) {
+    throw new Error('Refund amount must be a positive amount, e.g. 12.50')
+  }
+
+  if (!process.env.STRIPE_SECRET_KEY) throw new Error('Missing STRIPE_SECRET_KEY')
+
+  const refund = await stripe.refunds.create({
+    payment_intent: order.stripePaymentIntentId,
+    amount,
+    reason: 'requested_by_customer',
+    metadata: { orderId: order.id, refundedBy: admin },
+  })
+
+  await prisma.refund.upsert({
+    where: { stripeRefundId: refund.id },
+    create: {
+      orderId: order.id,
+      stripeRefundId: refund.id,
+      amount: refund.amount,
+      currency: refund.currency,
+      status: refund.status,
+      reason: refund.reason,
+      createdBy: admin,
+    },
+    update: { status: refund.status, createdBy: admin },
+  })
+  revalidatePath('/admin/orders')
+}
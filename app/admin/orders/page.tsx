@@ -1,18 +1,52 @@
+import Link from 'next/link'
 import { prisma } from '@/lib/prisma'
+import { ORDER_STATUSES, ORDER_STATUS_LABELS, isOrderStatus, nextStatuses } from '@/lib/orderStatus'
+import { formatAddressLines, isPostalAddress } from '@/lib/address'
+import { formatMoney } from '@/lib/money'
+import { refundOrderAction, updateOrderStatusAction } from './actions'
 
 export const dynamic = 'force-dynamic'
 
-export default async function OrdersPage() {
+const fmt = (d: Date) => d.toISOString().slice(0,19).replace('T',' ')
+
+export default async function OrdersPage({
+  searchParams,
+}: {
+  searchParams: { status?: string }
+}) {
+  const status = isOrderStatus(searchParams.status) ? searchParams.status : undefined
   const orders = await prisma.order.findMany({
+    where: status ? { status } : undefined,
     orderBy: { createdAt: 'desc' },
     take: 50,
+    include: { items: true, events: { orderBy: { createdAt: 'desc' }, take: 1 } },
   })
 
   return (
     <main className="mx-auto max-w-5xl px-6 py-10">
-      <h1 className="text-2xl font-semibold">Recent Orders</h1>
+      <div className="flex items-baseline justify-between">
+        <h1 className="text-2xl font-semibold">Recent Orders</h1>
+        <div className="flex gap-4 text-sm">
+          <Link href="/admin/shipments" className="underline">Upcoming kits</Link>
+          <Link href="/admin/customers" className="underline">Duplicate customers</Link>
+          <Link href="/admin/catalog" className="underline">Catalog drift</Link>
+        </div>
+      </div>
       <p className="text-sm text-gray-600 mt-1">Last 50 (test mode)</p>
 
+      <nav className="mt-4 flex flex-wrap gap-3 text-sm">
+        <Link href="/admin/orders" className={status ? 'underline' : 'font-semibold'}>All</Link>
+        {ORDER_STATUSES.map((s) => (
+          <Link
+            key={s}
+            href={`/admin/orders?status=${s}`}
+            className={status === s ? 'font-semibold' : 'underline'}
+          >
+            {ORDER_STATUS_LABELS[s]}
+          </Link>
+        ))}
+      </nav>
+
       <div className="mt-6 overflow-x-auto">
         <table className="min-w-full text-sm">
           <thead>
@@ -21,27 +55,84 @@ export default async function OrdersPage() {
               <th className="py-2 pr-4">Email</th>
               <th className="py-2 pr-4">Mode</th>
               <th className="py-2 pr-4">Items</th>
+              <th className="py-2 pr-4">Ship to</th>
+              <th className="py-2 pr-4">Status</th>
+              <th className="py-2 pr-4">Payment</th>
               <th className="py-2 pr-4">Session</th>
             </tr>
           </thead>
           <tbody>
-            {orders.map((o) => (
-              <tr key={o.id} className="border-b">
-                <td className="py-2 pr-4">{o.createdAt.toISOString().slice(0,19).replace('T',' ')}</td>
-                <td className="py-2 pr-4">{o.email}</td>
-                <td className="py-2 pr-4">{o.mode}</td>
-                <td className="py-2 pr-4">
-                  {Array.isArray(o.items)
-                    ? o.items.map((i: any, idx: number) =>
-                        <div key={idx}>{i.quantity ?? 1} × {i.description ?? i.priceId}</div>
-                      )
-                    : '—'}
-                </td>
-                <td className="py-2 pr-4 text-gray-500">{o.stripeSessionId}</td>
-              </tr>
-            ))}
+            {orders.map((o) => {
+              const next = nextStatuses(o.status)
+              return (
+                <tr key={o.id} className="border-b align-top">
+                  <td className="py-2 pr-4">{fmt(o.createdAt)}</td>
+                  <td className="py-2 pr-4">{o.email}</td>
+                  <td className="py-2 pr-4">{o.mode}</td>
+                  <td className="py-2 pr-4">
+                    {o.items.length
+                      ? o.items.map((i) =>
+                          <div key={i.id}>{i.quantity} × {i.name} @ {formatMoney(i.unitAmount, i.currency)}</div>
+                        )
+                      : '—'}
+                  </td>
+                  <td className="py-2 pr-4 whitespace-nowrap">
+                    {isPostalAddress(o.shipping)
+                      ? formatAddressLines(o.shipping).map((line, idx) => <div key={idx}>{line}</div>)
+                      : '—'}
+                    {o.phone && <div className="text-gray-500">{o.phone}</div>}
+                  </td>
+                  <td className="py-2 pr-4">
+                    <div className="font-medium">
+                      {isOrderStatus(o.status) ? ORDER_STATUS_LABELS[o.status] : o.status}
+                    </div>
+                    {o.events[0] && (
+                      <div className="text-xs text-gray-500">since {fmt(o.events[0].createdAt)}</div>
+                    )}
+                    {next.length > 0 && (
+                      <form action={updateOrderStatusAction} className="mt-1 flex gap-1">
+                        <input type="hidden" name="orderId" value={o.id} />
+                        <select name="status" defaultValue={next[0]} className="rounded border px-1">
+                          {next.map((s) => (
+                            <option key={s} value={s}>{ORDER_STATUS_LABELS[s]}</option>
+                          ))}
+                        </select>
+                        <button type="submit" className="underline">Set</button>
+                      </form>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4 whitespace-nowrap">
+                    {o.amountTotal != null && (
+                      <div>{formatMoney(o.amountTotal, o.currency || 'eur')}</div>
+                    )}
+                    {o.amountRefunded > 0 && (
+                      <div className="text-red-600">Refunded {formatMoney(o.amountRefunded, o.currency || 'eur')}</div>
+                    )}
+                    {o.disputeStatus && (
+                      <div className="text-red-600">
+                        Dispute: {o.disputeStatus}
+                        {o.disputeEvidenceDueBy && <> (evidence by {fmt(o.disputeEvidenceDueBy)})</>}
+                      </div>
+                    )}
+                    {o.stripePaymentIntentId && o.amountRefunded < (o.amountTotal ?? Infinity) && (
+                      <form action={refundOrderAction} className="mt-1 flex gap-1">
+                        <input type="hidden" name="orderId" value={o.id} />
+                        <input
+                          name="amount"
+                          inputMode="decimal"
+                          placeholder="full"
+                          className="w-16 rounded border px-1"
+                        />
+                        <button type="submit" className="underline text-red-600">Refund</button>
+                      </form>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4 text-gray-500">{o.stripeSessionId}</td>
+                </tr>
+              )
+            })}
             {orders.length === 0 && (
-              <tr><td colSpan={5} className="py-6 text-gray-500">No orders yet.</td></tr>
+              <tr><td colSpan={8} className="py-6 text-gray-500">No orders yet.</td></tr>
             )}
           </tbody>
         </table>
@@ -0,0 +1,84 @@
+import Link from 'next/link'
+import { prisma } from '@/lib/prisma'
+
+export const dynamic = 'force-dynamic'
+
+const fmt = (d: Date) => d.toISOString().slice(0, 10)
+
+const cadence = (s: { interval: string | null; intervalCount: number | null }) =>
+  s.interval === 'month' && s.intervalCount === 1 ? 'monthly' : s.interval === 'month' && s.intervalCount === 3 ? 'quarterly' : s.interval || '—'
+
+export default async function ShipmentsPage() {
+  // Renewal orders are created on invoice.paid; this is what is coming up
+  const [upcoming, paused] = await Promise.all([
+    prisma.subscription.findMany({
+      where: { nextShipmentAt: { not: null } },
+      orderBy: { nextShipmentAt: 'asc' },
+      take: 100,
+      include: {
+        orders: { orderBy: { createdAt: 'desc' }, take: 1, include: { items: true } },
+        events: { orderBy: { createdAt: 'desc' }, take: 1 },
+      },
+    }),
+    prisma.subscription.count({
+      where: { nextShipmentAt: null, status: { in: ['active', 'trialing', 'past_due'] }, cancelAtPeriodEnd: false },
+    }),
+  ])
+
+  return (
+    <main className="mx-auto max-w-5xl px-6 py-10">
+      <div className="flex items-baseline justify-between">
+        <h1 className="text-2xl font-semibold">Upcoming retest kits</h1>
+        <Link href="/admin/orders" className="text-sm underline">Orders</Link>
+      </div>
+      <p className="text-sm text-gray-600 mt-1">
+        Next kit per retest plan, after skips and pauses. Plans ending at period end ship nothing more
+        {paused > 0 && <>; {paused} plan(s) are paused with no resume date</>}.
+      </p>
+
+      <div className="mt-6 overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="py-2 pr-4">Next kit</th>
+              <th className="py-2 pr-4">Email</th>
+              <th className="py-2 pr-4">Test</th>
+              <th className="py-2 pr-4">Cadence</th>
+              <th className="py-2 pr-4">Skipping until</th>
+              <th className="py-2 pr-4">Last change</th>
+            </tr>
+          </thead>
+          <tbody>
+            {upcoming.map((s) => (
+              <tr key={s.id} className="border-b align-top">
+                <td className="py-2 pr-4 whitespace-nowrap">{s.nextShipmentAt && fmt(s.nextShipmentAt)}</td>
+                <td className="py-2 pr-4">{s.email || s.stripeCustomerId}</td>
+                <td className="py-2 pr-4">{s.orders[0]?.items.map((i) => i.name).join(', ') || '—'}</td>
+                <td className="py-2 pr-4">
+                  {cadence(s)}
+                  {s.scheduledChangeAt && (
+                    <div className="text-xs text-gray-500">switches from {fmt(s.scheduledChangeAt)}</div>
+                  )}
+                </td>
+                <td className="py-2 pr-4">{s.pausedUntil ? fmt(s.pausedUntil) : '—'}</td>
+                <td className="py-2 pr-4">
+                  {s.events[0] ? (
+                    <>
+                      <div>{s.events[0].note || s.events[0].kind}</div>
+                      <div className="text-xs text-gray-500">{fmt(s.events[0].createdAt)} · {s.events[0].actor}</div>
+                    </>
+                  ) : (
+                    '—'
+                  )}
+                </td>
+              </tr>
+            ))}
+            {upcoming.length === 0 && (
+              <tr><td colSpan={6} className="py-6 text-gray-500">No retest kits scheduled.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </main>
+  )
+}
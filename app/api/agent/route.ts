@@ -5,6 +5,7 @@ import { createClient } from 'next-sanity'
 import { PrismaClient } from '@prisma/client'
 import { writeFileSync, readFileSync } from 'fs'
 import { join } from 'path'
+import { formatMoney } from '@/lib/money'
 
 export const dynamic = 'force-dynamic'
 
@@ -44,7 +45,7 @@ async function provisionProduct({
       'content-type': 'application/json',
       authorization: `Bearer ${process.env.PROVISION_SECRET}`,
     },
-    body: JSON.stringify({ slug, id }),
+    body: JSON.stringify({ slug, id, actor: 'agent' }),
     cache: 'no-store',
   })
   const json = (await res.json().catch(() => ({}))) as ProvisionResult
@@ -55,18 +56,18 @@ async function provisionProduct({
 }
 
 async function createCheckout({
-  priceId,
+  slug,
   successPath = '/thanks',
   cancelPath = '/tests',
 }: {
-  priceId: string
+  slug: string
   successPath?: string
   cancelPath?: string
 }): Promise<{ ok: boolean; url?: string; [k: string]: any }> {
   const res = await fetch(`${BASE}/api/checkout/create`, {
     method: 'POST',
     headers: { 'content-type': 'application/json' },
-    body: JSON.stringify({ priceId, successPath, cancelPath }),
+    body: JSON.stringify({ slug, successPath, cancelPath }),
     cache: 'no-store',
   })
   const json = await res.json().catch(async () => ({ error: await res.text().catch(() => '') }))
@@ -149,7 +150,7 @@ async function handleStripeOperations(input: string, adminCredentials?: any) {
             quantity: 1
           }
         ],
-        success_url: `${baseUrl}/thanks?session_id={CHECKOUT_SESSION_ID}`,
+        success_url: `${baseUrl}/thanks?cs={CHECKOUT_SESSION_ID}`,
         cancel_url: `${baseUrl}/tests`
       })
 
@@ -159,7 +160,7 @@ async function handleStripeOperations(input: string, adminCredentials?: any) {
           checkoutUrl: session.url,
           sessionId: session.id,
           testProduct: 'Workflow Test Product',
-          amount: '€29.00'
+          amount: formatMoney(2900, 'eur')
         },
         message: 'Workflow test session created. Use this URL to complete the payment flow.',
         instructions: [
@@ -444,7 +445,10 @@ async function handleDatabaseOperations(input: string, adminCredentials?: any) {
             id: true,
             email: true,
             mode: true,
-            items: true,
+            status: true,
+            items: {
+              select: { name: true, slug: true, stripePriceId: true, unitAmount: true, currency: true, quantity: true }
+            },
             createdAt: true,
             stripeSessionId: true
           }
@@ -452,10 +456,7 @@ async function handleDatabaseOperations(input: string, adminCredentials?: any) {
         
         return {
           ok: true,
-          orders: orders.map(order => ({
-            ...order,
-            items: Array.isArray(order.items) ? order.items : [order.items]
-          }))
+          orders
         }
       } catch (error: any) {
         return { error: `Failed to get orders: ${error.message}` }
@@ -608,9 +609,12 @@ export async function POST(req: NextRequest) {
     return bad('Provision succeeded but no priceId was returned.', 500)
   }
 
-  // Step 2: checkout
-  const cancelPath = slug ? `/tests/${slug}` : '/tests'
-  const checkout = await createCheckout({ priceId, cancelPath })
+  // Step 2: checkout (the route resolves the price from the slug itself)
+  const checkoutSlug = slug || provision.slug
+  if (!checkoutSlug) {
+    return bad('Provision succeeded but no slug was returned.', 500)
+  }
+  const checkout = await createCheckout({ slug: checkoutSlug, cancelPath: `/tests/${checkoutSlug}` })
 
   if (!checkout.ok || !checkout.url) {
     return bad(checkout?.error || 'Checkout failed', 500)
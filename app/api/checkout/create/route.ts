@@ -1,30 +1,36 @@
 import { NextResponse } from 'next/server'
-import Stripe from 'stripe'
+import { z } from 'zod'
+import { stripe } from '@/lib/clients'
+import { checkoutRequestSchema, resolveLineItems } from '@/lib/catalog'
+import { createCheckoutSessions } from '@/lib/checkoutSession'
+import { currentCustomer } from '@/lib/auth'
+import { ensureStripeCustomer } from '@/lib/customerAccounts'
 
+const checkoutSessions = createCheckoutSessions({
+  stripe,
+  resolveLineItems,
+  ensureCustomer: ensureStripeCustomer,
+  site: process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000',
+})
+
+// Body: { slug } or { items: [{ slug, quantity }] }, plus optional
+// mode ('payment' | 'subscription'), interval ('month' | 'quarter'),
+// currency ('eur' | 'gbp'; the caller picks it, see lib/shopperCurrency.ts),
+// successPath and cancelPath (allowlisted, see lib/catalog.ts).
+// Signed-in shoppers (session cookie) check out as their account's Stripe customer.
 export async function POST(req: Request) {
-  const { priceId, successPath = '/thanks', cancelPath = '/tests' } = await req.json()
-  const key = process.env.STRIPE_SECRET_KEY
-  if (!key) return NextResponse.json({ error: 'Missing STRIPE_SECRET_KEY' }, { status: 400 })
-  if (!priceId) return NextResponse.json({ error: 'Missing priceId' }, { status: 400 })
+  const parsed = checkoutRequestSchema.safeParse(await req.json().catch(() => null))
+  if (!parsed.success) {
+    return NextResponse.json({ error: z.prettifyError(parsed.error) }, { status: 400 })
+  }
 
-  const site = process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000'
-  const stripe = new Stripe(key)
+  if (!process.env.STRIPE_SECRET_KEY) return NextResponse.json({ error: 'Missing STRIPE_SECRET_KEY' }, { status: 400 })
 
   try {
-    const session = await stripe.checkout.sessions.create({
-      mode: 'payment',
-      success_url: `${site}${successPath}?cs={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${site}${cancelPath}`,
-      line_items: [{ price: priceId, quantity: 1 }],
-      allow_promotion_codes: true,
-      billing_address_collection: 'required',
-      shipping_address_collection: { allowed_countries: ['IE','GB','DE','FR','ES','IT','NL'] },
-      metadata: {}, // place for product slug/id later if you want
-    })
-
+    const session = await checkoutSessions.create(parsed.data, await currentCustomer())
     return NextResponse.json({ url: session.url })
   } catch (err: any) {
     console.error('❌ Checkout create error:', err)
-    return NextResponse.json({ error: err.message }, { status: 400 })
+    return NextResponse.json({ error: err.message }, { status: err?.status || 400 })
   }
 }
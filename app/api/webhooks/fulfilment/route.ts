@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server'
+import { isOrderStatus, transitionOrder } from '@/lib/orderStatus'
+
+// Fulfilment webhook for the courier / lab integrations. Configure with:
+//  URL: <site>/api/webhooks/fulfilment
+//  Body: { "orderId": "...", "status": "sample_received", "note": "optional" }
+//  Secret header: Authorization: Bearer <FULFILMENT_WEBHOOK_SECRET>
+
+export async function POST(req: Request) {
+  const auth = req.headers.get('authorization') || ''
+  const expected = `Bearer ${process.env.FULFILMENT_WEBHOOK_SECRET}`
+  if (!process.env.FULFILMENT_WEBHOOK_SECRET || auth !== expected) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  const body = (await req.json().catch(() => null)) as
+    | { orderId?: string; status?: string; note?: string; source?: string }
+    | null
+  if (!body?.orderId) return NextResponse.json({ error: 'Missing orderId' }, { status: 400 })
+  if (!isOrderStatus(body.status)) return NextResponse.json({ error: 'Invalid status' }, { status: 400 })
+
+  try {
+    const order = await transitionOrder(body.orderId, body.status, {
+      actor: `webhook:${body.source || 'fulfilment'}`,
+      note: body.note,
+    })
+    return NextResponse.json({ ok: true, id: order.id, status: order.status })
+  } catch (err: any) {
+    const status = err?.status || 500
+    return NextResponse.json({ error: err?.message || 'Transition failed' }, { status })
+  }
+}
@@ -1,20 +1,25 @@
 import { NextResponse } from 'next/server'
-import { provisionProduct } from '@/lib/provisionProduct'
+import { archiveProduct, provisionProduct } from '@/lib/provisionProduct'
+import { authorisedSanityWebhook, needsProvisioning } from '@/lib/sanityWebhook'
 
 // Sanity webhook endpoint. Configure webhook with:
 //  URL: <site>/api/webhooks/sanity/product
-//  Filter: _type == "product" && defined(priceEUR)
-//  Events: create, update, publish (ignore delete)
-//  Secret header: Authorization: Bearer <PROVISION_SECRET>
+//  Filter: _type == "product" && defined(priceEUR) && !(_id in path("drafts.**"))
+//  Projection:
+//    {_id, _type, stripeProductId, "operation": delta::operation(),
+//     "before": before(){priceEUR, priceGBP, flags, stripeProductId, <price IDs>},
+//     "after": after(){priceEUR, priceGBP, flags, stripeProductId, <price IDs>}}
+//  <price IDs> is every field in ALL_PRICE_FIELDS (lib/pricing.ts); `npm run webhook:sanity` prints it in full
+//  Events: create, update, delete (unpublishing deletes the published document)
+//  Secret: SANITY_WEBHOOK_SECRET (verified from the sanity-webhook-signature header).
+//  Without it every request is refused; see authorisedSanityWebhook for the dev-only bearer opt-in.
 
 export async function POST(req: Request) {
-  const auth = req.headers.get('authorization') || ''
-  const expected = `Bearer ${process.env.PROVISION_SECRET}`
-  if (!process.env.PROVISION_SECRET || auth !== expected) {
+  const text = await req.text()
+  if (!authorisedSanityWebhook(req, text)) {
     return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
   }
 
-  const text = await req.text()
   let payload: any
   try { payload = JSON.parse(text) } catch { return NextResponse.json({ error: 'Invalid JSON' }, { status: 400 }) }
 
@@ -22,11 +27,22 @@ export async function POST(req: Request) {
   if (docType !== 'product') return NextResponse.json({ skipped: true, reason: 'Not product' })
   const id: string | undefined = payload._id || payload.document?._id
   if (!id) return NextResponse.json({ skipped: true, reason: 'Missing id' })
-  if (payload?.transition === 'delete' || payload?.action === 'delete') {
-    return NextResponse.json({ skipped: true, reason: 'Delete event' })
+  // Drafts are never sold; publishing fires its own event for the published id
+  if (id.startsWith('drafts.')) return NextResponse.json({ skipped: true, reason: 'Draft' })
+  const isDelete = [payload?.operation, payload?.transition, payload?.action].includes('delete')
+  // Without the before/after projection we can't tell what changed, so provision as before
+  const hasDelta = 'before' in payload && 'after' in payload
+  if (!isDelete && hasDelta && !needsProvisioning(payload.before, payload.after)) {
+    return NextResponse.json({ skipped: true, reason: 'No price-relevant changes' })
   }
+
   try {
-    const result = await provisionProduct({ id })
+    if (isDelete) {
+      const stripeProductId: string | undefined = payload.stripeProductId || payload.document?.stripeProductId
+      const result = await archiveProduct({ id, stripeProductId })
+      return NextResponse.json({ archived: !result.skipped, ...result })
+    }
+    const result = await provisionProduct({ id }, { actor: 'sanity-webhook' })
     return NextResponse.json({ provisioned: true, ...result })
   } catch (err: any) {
     const status = err?.status || 500
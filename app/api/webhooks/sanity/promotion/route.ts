@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server'
+import { deactivatePromotion, syncPromotion } from '@/lib/promotionSync'
+import { authorisedSanityWebhook } from '@/lib/sanityWebhook'
+
+// Sanity webhook endpoint for promotions. Configure webhook with:
+//  URL: <site>/api/webhooks/sanity/promotion
+//  Filter: _type == "promotion" && !(_id in path("drafts.**"))
+//  Projection: {_id, _type, stripePromotionCodeId, "operation": delta::operation()}
+//  Events: create, update, delete
+//  Secret: SANITY_WEBHOOK_SECRET, same as the product webhook.
+// Every edit is synced: unchanged terms are a no-op, see lib/promotions.ts.
+
+export async function POST(req: Request) {
+  const text = await req.text()
+  if (!authorisedSanityWebhook(req, text)) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  let payload: any
+  try { payload = JSON.parse(text) } catch { return NextResponse.json({ error: 'Invalid JSON' }, { status: 400 }) }
+
+  const docType = payload?._type || payload?.document?._type
+  if (docType !== 'promotion') return NextResponse.json({ skipped: true, reason: 'Not promotion' })
+  const id: string | undefined = payload._id || payload.document?._id
+  if (!id) return NextResponse.json({ skipped: true, reason: 'Missing id' })
+  if (id.startsWith('drafts.')) return NextResponse.json({ skipped: true, reason: 'Draft' })
+  const isDelete = [payload?.operation, payload?.transition, payload?.action].includes('delete')
+
+  try {
+    if (isDelete) {
+      const stripePromotionCodeId: string | undefined = payload.stripePromotionCodeId || payload.document?.stripePromotionCodeId
+      return NextResponse.json(await deactivatePromotion({ stripePromotionCodeId }))
+    }
+    return NextResponse.json(await syncPromotion(id))
+  } catch (err: any) {
+    const status = err?.status || 500
+    return NextResponse.json({ error: err?.message || 'Promotion sync failed' }, { status })
+  }
+}
@@ -0,0 +1,82 @@
+'use server'
+
+import { redirect } from 'next/navigation'
+import { revalidatePath } from 'next/cache'
+import { sanityClient } from '@/lib/sanity/client'
+import { productBySlugQuery, productsForCheckoutQuery } from '@/lib/sanity/queries'
+import { addItem, clampQuantity, readCart, removeItem, setQuantity, writeCart } from '@/lib/cart'
+import { priceFor, type CatalogProduct } from '@/lib/catalog'
+import { isCurrency, unitAmountFor } from '@/lib/pricing'
+import { setShopperCurrency, shopperCurrency } from '@/lib/shopperCurrency'
+import { startCheckout } from '@/lib/startCheckout'
+
+/** Looks the product up server-side so the cart never stores client-supplied titles or prices */
+export async function addToCartAction(formData: FormData) {
+  const slug = formData.get('slug')?.toString()
+  if (!slug) throw new Error('Missing product slug')
+
+  const product = (await sanityClient.fetch(productBySlugQuery, { slug })) as CatalogProduct | null
+  if (!product) throw new Error(`Unknown product: ${slug}`)
+
+  const currency = shopperCurrency()
+  if (!priceFor(product, 'payment', 'month', currency)) {
+    throw new Error('Checkout not configured for this product')
+  }
+
+  writeCart(
+    addItem(readCart(), {
+      slug: product.slug,
+      title: product.title,
+      unitAmount: unitAmountFor(product, currency) ?? undefined,
+      currency,
+      quantity: clampQuantity(formData.get('quantity') ?? 1),
+    })
+  )
+  redirect('/cart')
+}
+
+export async function updateCartItemAction(formData: FormData) {
+  const slug = formData.get('slug')?.toString()
+  if (!slug) return
+  writeCart(setQuantity(readCart(), slug, Number(formData.get('quantity'))))
+  revalidatePath('/cart')
+}
+
+export async function removeCartItemAction(formData: FormData) {
+  const slug = formData.get('slug')?.toString()
+  if (!slug) return
+  writeCart(removeItem(readCart(), slug))
+  revalidatePath('/cart')
+}
+
+/** Remembers the shopper's currency and re-prices the cart in it */
+export async function setCurrencyAction(formData: FormData) {
+  const currency = formData.get('currency')?.toString()
+  if (!isCurrency(currency)) return
+  setShopperCurrency(currency)
+
+  const items = readCart()
+  if (items.length) {
+    const products = await sanityClient.fetch<CatalogProduct[]>(productsForCheckoutQuery, {
+      slugs: items.map((i) => i.slug),
+    })
+    const bySlug = new Map(products.map((p) => [p.slug, p]))
+    writeCart(
+      items.map((i) => ({ ...i, unitAmount: unitAmountFor(bySlug.get(i.slug), currency) ?? undefined, currency }))
+    )
+  }
+  revalidatePath('/', 'layout')
+}
+
+/** Server Action → sends the whole cart to /api/checkout/create and redirects to Stripe */
+export async function checkoutCartAction() {
+  const items = readCart()
+  if (!items.length) redirect('/cart')
+
+  await startCheckout({
+    items: items.map(({ slug, quantity }) => ({ slug, quantity })),
+    currency: shopperCurrency(),
+    successPath: '/thanks',
+    cancelPath: '/cart',
+  })
+}
@@ -0,0 +1,76 @@
+import Link from 'next/link'
+import { readCart, cartSubtotal, MAX_QUANTITY } from '@/lib/cart'
+import { formatMoney } from '@/lib/money'
+import CurrencySelector from '@/components/CurrencySelector'
+import { checkoutCartAction, removeCartItemAction, updateCartItemAction } from './actions'
+
+export const dynamic = 'force-dynamic'
+
+export default function CartPage() {
+  const items = readCart()
+  const subtotal = cartSubtotal(items)
+
+  return (
+    <main className="mx-auto max-w-3xl px-6 py-12">
+      <div className="flex items-baseline justify-between">
+        <h1 className="text-3xl font-semibold">Your cart</h1>
+        <CurrencySelector />
+      </div>
+
+      {items.length === 0 ? (
+        <p className="mt-4 text-gray-700">
+          Your cart is empty. <Link href="/tests" className="underline">Browse our tests</Link>
+        </p>
+      ) : (
+        <>
+          <ul className="mt-6 divide-y border-y">
+            {items.map((item) => (
+              <li key={item.slug} className="flex flex-wrap items-center gap-4 py-4">
+                <div className="flex-1 min-w-[12rem]">
+                  <Link href={`/tests/${item.slug}`} className="font-medium underline">
+                    {item.title}
+                  </Link>
+                  {item.unitAmount != null && (
+                    <p className="text-sm text-gray-600">{formatMoney(item.unitAmount, item.currency)} each</p>
+                  )}
+                </div>
+                <form action={updateCartItemAction} className="flex items-center gap-2">
+                  <input type="hidden" name="slug" value={item.slug} />
+                  <label className="sr-only" htmlFor={`qty-${item.slug}`}>Quantity</label>
+                  <input
+                    id={`qty-${item.slug}`}
+                    type="number"
+                    name="quantity"
+                    min={1}
+                    max={MAX_QUANTITY}
+                    defaultValue={item.quantity}
+                    className="w-16 rounded border px-2 py-1"
+                  />
+                  <button type="submit" className="text-sm underline">Update</button>
+                </form>
+                <form action={removeCartItemAction}>
+                  <input type="hidden" name="slug" value={item.slug} />
+                  <button type="submit" className="text-sm text-red-600 underline">Remove</button>
+                </form>
+              </li>
+            ))}
+          </ul>
+
+          <div className="mt-6 flex items-center justify-between">
+            <p className="text-lg">
+              {subtotal ? <>Subtotal: {formatMoney(subtotal.amount, subtotal.currency)}</> : 'Subtotal calculated at checkout'}
+            </p>
+            <form action={checkoutCartAction}>
+              <button
+                type="submit"
+                className="inline-flex items-center rounded bg-black px-4 py-2 text-white hover:opacity-90"
+              >
+                Checkout
+              </button>
+            </form>
+          </div>
+        </>
+      )}
+    </main>
+  )
+}
@@ -1,22 +1,23 @@
 // app/tests/[slug]/page.tsx
-import { notFound, redirect } from 'next/navigation'
+import { notFound } from 'next/navigation'
 import type { Metadata } from 'next'
 import { sanityClient } from '@/lib/sanity/client'
 import { productBySlugQuery } from '@/lib/sanity/queries'
-
-type Product = {
-  _id: string
-  title: string
-  slug: string
-  priceEUR?: number
+import { addToCartAction } from '@/app/cart/actions'
+import { priceFor, type CatalogProduct } from '@/lib/catalog'
+import { formatMoney, toDecimalString } from '@/lib/money'
+import { unitAmountFor, type Currency } from '@/lib/pricing'
+import { shopperCurrency } from '@/lib/shopperCurrency'
+import { startCheckout } from '@/lib/startCheckout'
+import CurrencySelector from '@/components/CurrencySelector'
+
+type Product = CatalogProduct & {
   turnaround?: string
   sampleType?: string
   markers?: string[]
   whyItMatters?: string[]
   symptoms?: string[]
   whatYouGet?: string[]
-  stripePriceIdOneTime?: string
-  stripePriceIdSubscription?: string
 }
 
 export async function generateMetadata({
@@ -36,10 +37,11 @@ export async function generateMetadata({
   }
 }
 
-/** JSON-LD for Product rich results */
-function ProductJsonLd({ prod }: { prod: Product }) {
+/** JSON-LD for Product rich results, offered in the shopper's currency */
+function ProductJsonLd({ prod, currency }: { prod: Product; currency: Currency }) {
   const site = process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000'
   const url = `${site}/tests/${prod.slug}`
+  const amount = unitAmountFor(prod, currency)
 
   const data = {
     '@context': 'https://schema.org',
@@ -47,12 +49,12 @@ function ProductJsonLd({ prod }: { prod: Product }) {
     name: prod.title,
     sku: prod._id,
     url,
-    ...(prod.priceEUR != null
+    ...(amount != null
       ? {
           offers: {
             '@type': 'Offer',
-            priceCurrency: 'EUR',
-            price: prod.priceEUR,
+            priceCurrency: currency.toUpperCase(),
+            price: toDecimalString(amount, currency),
             availability: 'https://schema.org/InStock',
             url,
           },
@@ -68,35 +70,25 @@ function ProductJsonLd({ prod }: { prod: Product }) {
   )
 }
 
-/** Server Action → calls your /api/checkout/create and redirects to Stripe */
+/** Server Action → calls /api/checkout/create (which resolves the price) as the shopper and redirects to Stripe */
 async function createCheckoutAction(formData: FormData) {
   'use server'
-  const priceId = formData.get('priceId')?.toString()
-  const cancelPath = formData.get('cancelPath')?.toString() || '/tests'
-  const successPath = '/thanks'
+  const slug = formData.get('slug')?.toString()
+  const mode = formData.get('mode')?.toString() === 'subscription' ? 'subscription' : 'payment'
+  const interval = formData.get('interval')?.toString() === 'quarter' ? 'quarter' : 'month'
 
-  if (!priceId) {
-    throw new Error('Missing Stripe priceId')
+  if (!slug) {
+    throw new Error('Missing product slug')
   }
 
-  const base = process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000'
-  const res = await fetch(`${base}/api/checkout/create`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ priceId, successPath, cancelPath }),
-    cache: 'no-store',
+  await startCheckout({
+    slug,
+    mode,
+    interval,
+    currency: shopperCurrency(),
+    successPath: '/thanks',
+    cancelPath: `/tests/${slug}`,
   })
-
-  if (!res.ok) {
-    const msg = await res.text().catch(() => '')
-    throw new Error(`Checkout failed: ${msg || res.status}`)
-  }
-
-  const data = (await res.json()) as { url?: string }
-  if (data?.url) {
-    redirect(data.url)
-  }
-  throw new Error('Checkout failed: no redirect URL returned')
 }
 
 export default async function ProductPage({
@@ -112,44 +104,86 @@ export default async function ProductPage({
 
   if (!product) return notFound()
 
-  const priceId =
-    product.stripePriceIdOneTime ||
-    process.env.NEXT_PUBLIC_STRIPE_DEFAULT_PRICE_ID ||
-    ''
+  const currency = shopperCurrency()
+  const amount = unitAmountFor(product, currency)
+  const canOrder = Boolean(priceFor(product, 'payment', 'month', currency))
+  const subscriptionOptions = (
+    [
+      { label: 'Monthly', interval: 'month' },
+      { label: 'Quarterly', interval: 'quarter' },
+    ] as const
+  ).filter((o) => priceFor(product, 'subscription', o.interval, currency))
 
   return (
     <main className="mx-auto max-w-3xl px-6 py-12">
-      <ProductJsonLd prod={product} />
+      <ProductJsonLd prod={product} currency={currency} />
 
-      <h1 className="text-3xl font-semibold">{product.title}</h1>
+      <div className="flex items-baseline justify-between gap-4">
+        <h1 className="text-3xl font-semibold">{product.title}</h1>
+        <CurrencySelector />
+      </div>
 
       <p className="mt-2 text-gray-700">
-        {product.priceEUR != null ? <>€{product.priceEUR} • </> : null}
+        {amount != null ? <>{formatMoney(amount, currency)} • </> : null}
         {product.sampleType}
         {product.sampleType && product.turnaround ? ' • ' : ''}
         {product.turnaround}
       </p>
 
       <div className="mt-5">
-        {priceId ? (
-          <form action={createCheckoutAction}>
-            <input type="hidden" name="priceId" value={priceId} />
-            <input type="hidden" name="cancelPath" value={`/tests/${product.slug}`} />
-            <button
-              type="submit"
-              className="inline-flex items-center rounded bg-black px-4 py-2 text-white hover:opacity-90"
-            >
-              Order kit
-            </button>
-          </form>
+        {canOrder ? (
+          <div className="flex flex-wrap items-center gap-3">
+            <form action={createCheckoutAction}>
+              <input type="hidden" name="slug" value={product.slug} />
+              <button
+                type="submit"
+                className="inline-flex items-center rounded bg-black px-4 py-2 text-white hover:opacity-90"
+              >
+                Order kit
+              </button>
+            </form>
+            <form action={addToCartAction}>
+              <input type="hidden" name="slug" value={product.slug} />
+              <button
+                type="submit"
+                className="inline-flex items-center rounded border border-black px-4 py-2 hover:bg-gray-50"
+              >
+                Add to cart
+              </button>
+            </form>
+          </div>
         ) : (
           <p className="text-sm text-red-600">
-            Checkout not configured yet. Add <code>stripePriceIdOneTime</code> to this product
-            in Sanity or set <code>NEXT_PUBLIC_STRIPE_DEFAULT_PRICE_ID</code> in your .env.
+            Checkout not configured yet for {currency.toUpperCase()}. Provision this product&apos;s
+            Stripe prices, or for EUR set <code>NEXT_PUBLIC_STRIPE_DEFAULT_PRICE_ID</code> in your .env.
           </p>
         )}
       </div>
 
+      {subscriptionOptions.length ? (
+        <form action={createCheckoutAction} className="mt-4 rounded border p-4">
+          <input type="hidden" name="slug" value={product.slug} />
+          <input type="hidden" name="mode" value="subscription" />
+          <fieldset>
+            <legend className="font-medium">Subscribe &amp; retest</legend>
+            <div className="mt-2 flex gap-4">
+              {subscriptionOptions.map((o, i) => (
+                <label key={o.interval} className="inline-flex items-center gap-2">
+                  <input type="radio" name="interval" value={o.interval} defaultChecked={i === 0} />
+                  {o.label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+          <button
+            type="submit"
+            className="mt-3 inline-flex items-center rounded bg-black px-4 py-2 text-white hover:opacity-90"
+          >
+            Subscribe &amp; retest
+          </button>
+        </form>
+      ) : null}
+
       <section className="mt-8">
         <h2 className="text-xl font-medium">What this test measures</h2>
         {product.markers?.length ? (
@@ -1,12 +1,17 @@
 import Link from 'next/link'
 import {sanityClient} from '@/lib/sanity/client'
 import {allProductsQuery} from '@/lib/sanity/queries'
+import {formatMoney} from '@/lib/money'
+import {unitAmountFor} from '@/lib/pricing'
+import {shopperCurrency} from '@/lib/shopperCurrency'
+import CurrencySelector from '@/components/CurrencySelector'
 
 type Product = {
   _id: string
   title: string
   slug: string
   priceEUR?: number
+  priceGBP?: number
   turnaround?: string
   sampleType?: string
 }
@@ -29,21 +34,31 @@ async function getProducts(): Promise<Product[]> {
 
 export default async function TestsPage() {
   const products = await getProducts()
+  const currency = shopperCurrency()
   return (
     <main className="mx-auto max-w-6xl px-6 py-12">
-      <h1 className="text-3xl font-semibold mb-6">Our Tests</h1>
+      <div className="mb-6 flex items-baseline justify-between">
+        <h1 className="text-3xl font-semibold">Our Tests</h1>
+        <div className="flex items-baseline gap-6">
+          <CurrencySelector />
+          <Link href="/cart" className="underline">View cart</Link>
+        </div>
+      </div>
       {products.length === 0 ? (
         <p>No products available.</p>
       ) : (
         <ul className="grid gap-6 grid-cols-1 sm:grid-cols-2 lg:grid-cols-3">
-          {products.map((p) => (
-            <li key={p._id} className="rounded border p-4">
-              <h2 className="text-lg font-medium">{p.title}</h2>
-              {p.priceEUR != null && <p className="mt-1">€{p.priceEUR}</p>}
-              <p className="text-sm text-gray-600 mt-1">{[p.sampleType, p.turnaround].filter(Boolean).join(' • ')}</p>
-              <Link href={`/tests/${p.slug}`} className="mt-3 inline-block underline">View details</Link>
-            </li>
-          ))}
+          {products.map((p) => {
+            const amount = unitAmountFor(p, currency)
+            return (
+              <li key={p._id} className="rounded border p-4">
+                <h2 className="text-lg font-medium">{p.title}</h2>
+                {amount != null && <p className="mt-1">{formatMoney(amount, currency)}</p>}
+                <p className="text-sm text-gray-600 mt-1">{[p.sampleType, p.turnaround].filter(Boolean).join(' • ')}</p>
+                <Link href={`/tests/${p.slug}`} className="mt-3 inline-block underline">View details</Link>
+              </li>
+            )
+          })}
         </ul>
       )}
     </main>
@@ -1,10 +1,121 @@
-export default function Thanks() {
+import Link from 'next/link'
+import { formatAddressLines } from '@/lib/address'
+import { formatMoney, fromMinorUnits } from '@/lib/money'
+import { claimConversion, loadCheckoutConfirmation, type OrderConfirmation } from '@/lib/checkoutConfirmation'
+import PurchaseConversion, { type PurchaseEvent } from '@/components/PurchaseConversion'
+
+export const dynamic = 'force-dynamic'
+
+const fmtDay = (d: Date) =>
+  d.toLocaleDateString('en-IE', { weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC' })
+
+function purchaseEvent(order: OrderConfirmation): PurchaseEvent {
+  return {
+    transaction_id: order.sessionId,
+    value: fromMinorUnits(order.amountTotal, order.currency),
+    currency: order.currency.toUpperCase(),
+    items: order.items.map((i) => ({
+      item_id: i.slug || i.priceId || i.name,
+      item_name: i.name,
+      price: fromMinorUnits(Math.round(i.amount / i.quantity), order.currency),
+      quantity: i.quantity,
+    })),
+  }
+}
+
+function AccountLink() {
+  return (
+    <p className="mt-6 text-gray-700">
+      Track it any time from <Link href="/account" className="underline">your account</Link>: sign in with the email you ordered with.
+    </p>
+  )
+}
+
+export default async function Thanks({ searchParams }: { searchParams: { cs?: string } }) {
+  const confirmation = await loadCheckoutConfirmation(searchParams.cs)
+
+  if (confirmation.state === 'not_found') {
+    return (
+      <main className="mx-auto max-w-3xl px-6 py-16">
+        <h1 className="text-3xl font-semibold">Thanks! 🎉</h1>
+        <p className="mt-3 text-gray-700">
+          If you’ve just placed an order, you’ll get an email with next steps shortly.
+        </p>
+        <AccountLink />
+      </main>
+    )
+  }
+
+  if (confirmation.state === 'expired' || confirmation.state === 'open') {
+    return (
+      <main className="mx-auto max-w-3xl px-6 py-16">
+        <h1 className="text-3xl font-semibold">Your order isn’t complete</h1>
+        <p className="mt-3 text-gray-700">
+          {confirmation.state === 'expired'
+            ? 'This checkout expired before payment, so nothing was charged.'
+            : 'Payment hasn’t been completed for this checkout yet.'}
+        </p>
+        <p className="mt-6 flex gap-4">
+          {confirmation.state === 'open' && confirmation.url && (
+            <a href={confirmation.url} className="underline">Return to checkout</a>
+          )}
+          <Link href="/cart" className="underline">Back to your cart</Link>
+        </p>
+      </main>
+    )
+  }
+
+  const { order } = confirmation
+  const paid = confirmation.state === 'paid'
+  // Only a settled payment counts as a conversion, and only the first time it's shown
+  const purchase = paid && (await claimConversion(order)) ? purchaseEvent(order) : null
+
   return (
     <main className="mx-auto max-w-3xl px-6 py-16">
-      <h1 className="text-3xl font-semibold">Thanks! 🎉</h1>
+      {purchase && <PurchaseConversion purchase={purchase} />}
+      <h1 className="text-3xl font-semibold">{paid ? 'Thanks! 🎉' : 'Thanks, we’re confirming your payment'}</h1>
       <p className="mt-3 text-gray-700">
-        We’ve received your order. You’ll get an email with next steps.
+        {paid
+          ? 'We’ve received your order'
+          : 'Your bank is processing the payment; your kit ships once it clears'}
+        {order.email && <> and sent a confirmation to {order.email}</>}.
+        {order.orderRef && <span className="text-gray-500"> Order #{order.orderRef}</span>}
+      </p>
+
+      <h2 className="mt-8 text-xl font-semibold">Order summary</h2>
+      <ul className="mt-3 divide-y border-y">
+        {order.items.map((i, idx) => (
+          <li key={idx} className="flex justify-between gap-4 py-2">
+            <span>{i.quantity} × {i.name}</span>
+            <span>{formatMoney(i.amount, order.currency)}</span>
+          </li>
+        ))}
+      </ul>
+      <p className="mt-3 flex justify-between font-medium">
+        <span>{paid ? 'Paid' : 'Total'}</span>
+        <span>{formatMoney(order.amountTotal, order.currency)}</span>
       </p>
+      {order.mode === 'subscription' && (
+        <p className="mt-1 text-sm text-gray-600">
+          Your retest plan renews automatically; skip, pause or change it from your account.
+        </p>
+      )}
+
+      {order.shipping && (
+        <>
+          <h2 className="mt-8 text-xl font-semibold">Shipping to</h2>
+          <address className="mt-2 not-italic text-gray-700">
+            {formatAddressLines(order.shipping).map((line, idx) => <div key={idx}>{line}</div>)}
+          </address>
+        </>
+      )}
+
+      {paid && (
+        <p className="mt-8 text-gray-700">
+          Your kit is expected to be dispatched on <strong>{fmtDay(order.dispatchBy)}</strong>.
+        </p>
+      )}
+      <AccountLink />
     </main>
   )
 }
@@ -0,0 +1,26 @@
+import { CURRENCIES, type Currency } from '@/lib/pricing'
+import { shopperCurrency } from '@/lib/shopperCurrency'
+import { setCurrencyAction } from '@/app/cart/actions'
+
+const LABELS: Record<Currency, string> = { eur: '€ EUR', gbp: '£ GBP' }
+
+export default function CurrencySelector() {
+  const current = shopperCurrency()
+  return (
+    <form action={setCurrencyAction} className="flex items-center gap-2 text-sm">
+      <span className="text-gray-600">Prices in</span>
+      {CURRENCIES.map((c) => (
+        <button
+          key={c}
+          type="submit"
+          name="currency"
+          value={c}
+          aria-pressed={c === current}
+          className={c === current ? 'font-semibold underline' : 'text-gray-600 hover:underline'}
+        >
+          {LABELS[c]}
+        </button>
+      ))}
+    </form>
+  )
+}
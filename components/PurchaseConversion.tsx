@@ -0,0 +1,35 @@
+'use client'
+
+import { useEffect } from 'react'
+
+// GA4-style ecommerce purchase, pushed to the Tag Manager data layer. Only rendered
+// for a conversion the server claimed first (lib/checkoutConfirmation.ts); the
+// sessionStorage guard covers the page being restored from the router cache.
+export type PurchaseEvent = {
+  transaction_id: string
+  value: number
+  currency: string
+  items: { item_id: string; item_name: string; price: number; quantity: number }[]
+}
+
+declare global {
+  interface Window {
+    dataLayer?: Record<string, unknown>[]
+  }
+}
+
+export default function PurchaseConversion({ purchase }: { purchase: PurchaseEvent }) {
+  useEffect(() => {
+    const key = `purchase:${purchase.transaction_id}`
+    try {
+      if (sessionStorage.getItem(key)) return
+      sessionStorage.setItem(key, '1')
+    } catch {
+      // Storage blocked: the server-side claim still keeps it to one page view
+    }
+    window.dataLayer = window.dataLayer || []
+    window.dataLayer.push({ ecommerce: null }) // clear the previous ecommerce object
+    window.dataLayer.push({ event: 'purchase', ecommerce: purchase })
+  }, [purchase])
+  return null
+}
@@ -0,0 +1,35 @@
+'use client'
+
+import { useState } from 'react'
+import { signIn } from 'next-auth/react'
+
+export default function SignInForm({ callbackUrl }: { callbackUrl: string }) {
+  const [email, setEmail] = useState('')
+  const [pending, setPending] = useState(false)
+
+  return (
+    <form
+      className="mt-6 flex flex-col gap-3"
+      onSubmit={async (e) => {
+        e.preventDefault()
+        setPending(true)
+        // Redirects to the "check your email" page (pages.verifyRequest in lib/auth.ts)
+        await signIn('email', { email, callbackUrl })
+      }}
+    >
+      <label htmlFor="email" className="text-sm font-medium">Email address</label>
+      <input
+        id="email"
+        type="email"
+        required
+        autoComplete="email"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        className="rounded border px-3 py-2"
+      />
+      <button type="submit" disabled={pending} className="rounded bg-black px-4 py-2 text-white disabled:opacity-50">
+        {pending ? 'Sending…' : 'Email me a sign-in link'}
+      </button>
+    </form>
+  )
+}
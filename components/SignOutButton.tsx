@@ -0,0 +1,11 @@
+'use client'
+
+import { signOut } from 'next-auth/react'
+
+export default function SignOutButton() {
+  return (
+    <button type="button" onClick={() => signOut({ callbackUrl: '/' })} className="text-sm underline">
+      Sign out
+    </button>
+  )
+}
@@ -0,0 +1,75 @@
+import type Stripe from 'stripe'
+
+// Normalised postal address stored on Order.shipping / Order.billing (Json columns).
+// Flat camelCase fields so dispatch can print a label without knowing Stripe's shape.
+// The addressesFrom* helpers return undefined (not null) for missing parts so they
+// can be spread straight into a Prisma create.
+export type PostalAddress = {
+  name: string | null
+  line1: string | null
+  line2: string | null
+  city: string | null
+  state: string | null
+  postalCode: string | null
+  country: string | null // ISO 3166-1 alpha-2
+  phone: string | null
+}
+
+export function normaliseAddress(
+  address: Stripe.Address | null | undefined,
+  contact: { name?: string | null; phone?: string | null } = {}
+): PostalAddress | null {
+  if (!address) return null
+  return {
+    name: contact.name?.trim() || null,
+    line1: address.line1 || null,
+    line2: address.line2 || null,
+    city: address.city || null,
+    state: address.state || null,
+    postalCode: address.postal_code || null,
+    country: address.country || null,
+    phone: contact.phone || null,
+  }
+}
+
+/** Shipping + billing from a completed Checkout Session (shipping lives under collected_information) */
+export function addressesFromSession(session: Stripe.Checkout.Session) {
+  const details = session.customer_details
+  const shipping = session.collected_information?.shipping_details
+  return {
+    shipping: normaliseAddress(shipping?.address, { name: shipping?.name, phone: details?.phone }) ?? undefined,
+    billing: normaliseAddress(details?.address, { name: details?.name, phone: details?.phone }) ?? undefined,
+    phone: details?.phone || undefined,
+  }
+}
+
+/** Shipping + billing snapshot taken from the customer when a renewal invoice was finalised */
+export function addressesFromInvoice(invoice: Stripe.Invoice) {
+  const shipping = invoice.customer_shipping
+  return {
+    shipping: normaliseAddress(shipping?.address, {
+      name: shipping?.name,
+      phone: shipping?.phone || invoice.customer_phone,
+    }) ?? undefined,
+    billing: normaliseAddress(invoice.customer_address, {
+      name: invoice.customer_name,
+      phone: invoice.customer_phone,
+    }) ?? undefined,
+    phone: invoice.customer_phone || undefined,
+  }
+}
+
+export function isPostalAddress(x: unknown): x is PostalAddress {
+  return x != null && typeof x === 'object' && 'line1' in x && 'country' in x
+}
+
+/** Label lines in print order, empty parts dropped */
+export function formatAddressLines(a: PostalAddress): string[] {
+  return [
+    a.name,
+    a.line1,
+    a.line2,
+    [a.city, a.state].filter(Boolean).join(', '),
+    [a.postalCode, a.country].filter(Boolean).join(' '),
+  ].filter((line): line is string => Boolean(line))
+}
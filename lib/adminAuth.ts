@@ -0,0 +1,8 @@
+import { headers } from 'next/headers'
+
+/** Name of the admin making this request, as set by middleware.ts for /admin routes */
+export function currentAdmin(): string {
+  const name = headers().get('x-admin-user')
+  if (!name) throw Object.assign(new Error('Admin authentication required'), { status: 401 })
+  return name
+}
@@ -0,0 +1,69 @@
+import { getServerSession, type NextAuthOptions } from 'next-auth'
+import type { EmailConfig, SendVerificationRequestParams } from 'next-auth/providers/email'
+import { PrismaAdapter } from '@next-auth/prisma-adapter'
+import { redirect } from 'next/navigation'
+import { prisma } from '@/lib/prisma'
+import { sendMail, signInMessage } from '@/lib/mail'
+import { claimGuestOrders } from '@/lib/customerAccounts'
+
+// Customer accounts: passwordless email sign-in. NextAuth stores users, sessions
+// and one-time tokens through the Prisma adapter (User/Session/VerificationToken).
+
+async function sendSignInLink({ identifier, url }: SendVerificationRequestParams) {
+  await sendMail(signInMessage(identifier, url))
+}
+
+// Built by hand rather than with next-auth/providers/email, which loads nodemailer
+// even when sendVerificationRequest replaces it; mail goes through lib/mail.ts instead.
+const emailProvider: EmailConfig = {
+  id: 'email',
+  type: 'email',
+  name: 'Email',
+  server: '',
+  from: process.env.EMAIL_FROM || 'hello@hormonegroup.ie',
+  maxAge: 24 * 60 * 60,
+  sendVerificationRequest: sendSignInLink,
+  normalizeIdentifier: (identifier) => identifier.trim().toLowerCase(),
+  options: {},
+}
+
+export const authOptions: NextAuthOptions = {
+  adapter: PrismaAdapter(prisma),
+  providers: [emailProvider],
+  session: { strategy: 'database' },
+  pages: {
+    signIn: '/account/signin',
+    verifyRequest: '/account/signin?sent=1',
+    error: '/account/signin',
+  },
+  callbacks: {
+    session: ({ session, user }) => ({ ...session, user: { ...session.user, id: user.id } }),
+  },
+  events: {
+    // Signing in through the emailed link proves the address, so guest orders with it are theirs
+    signIn: async ({ user }) => {
+      if (!user.email) return
+      const claimed = await claimGuestOrders({ id: user.id, email: user.email })
+      if (claimed.orders || claimed.subscriptions) {
+        console.log('🔗 Claimed', claimed.orders, 'order(s) and', claimed.subscriptions, 'subscription(s) for user', user.id)
+      }
+    },
+  },
+}
+
+export type Customer = { id: string; email: string; name?: string | null }
+
+/** Signed-in customer for this request, or null */
+export async function currentCustomer(): Promise<Customer | null> {
+  const session = await getServerSession(authOptions)
+  const user = session?.user as { id?: string; email?: string | null; name?: string | null } | undefined
+  if (!user?.id || !user.email) return null
+  return { id: user.id, email: user.email, name: user.name }
+}
+
+/** Signed-in customer, or a redirect to sign-in that comes back to `callbackUrl` */
+export async function requireCustomer(callbackUrl: string): Promise<Customer> {
+  const customer = await currentCustomer()
+  if (!customer) redirect(`/account/signin?callbackUrl=${encodeURIComponent(callbackUrl)}`)
+  return customer
+}
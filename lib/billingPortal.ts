@@ -0,0 +1,44 @@
+// Stripe Billing Portal configuration for retest plans: update cards and billing
+// details, switch between the monthly and quarterly price of the same test, and
+// cancel at period end. Everything the portal changes comes back as
+// customer.subscription.* webhooks. Built from Sanity by scripts/setup-billing-portal.mjs.
+
+import type Stripe from 'stripe'
+import { CURRENCIES, priceField } from './pricing'
+
+/** Each subscription product with every recurring price a subscriber may switch to */
+export function switchablePrices(products: Record<string, any>[]): { product: string; prices: string[] }[] {
+  return products
+    .filter((p) => p.flags?.subscription && p.stripeProductId)
+    .map((p) => ({
+      product: p.stripeProductId,
+      prices: CURRENCIES.flatMap((c) => [p[priceField('month', c)], p[priceField('quarter', c)]]).filter(Boolean),
+    }))
+    .filter((p) => p.prices.length)
+}
+
+export function portalConfiguration(
+  products: Record<string, any>[],
+  { returnUrl }: { returnUrl?: string } = {}
+): Stripe.BillingPortal.ConfigurationCreateParams {
+  const switchable = switchablePrices(products)
+  return {
+    business_profile: { headline: 'Manage your Hormone Group retest plan' },
+    ...(returnUrl ? { default_return_url: returnUrl } : {}),
+    features: {
+      customer_update: { enabled: true, allowed_updates: ['address', 'shipping', 'phone', 'name'] },
+      invoice_history: { enabled: true },
+      payment_method_update: { enabled: true },
+      // Kits for the current period are already on their way, so plans run to the end of it
+      subscription_cancel: {
+        enabled: true,
+        mode: 'at_period_end',
+        cancellation_reason: { enabled: true, options: ['too_expensive', 'unused', 'switched_service', 'other'] },
+      },
+      // A switch bills the new interval in full at once; lib/stripeWebhook.ts ships a kit for it
+      subscription_update: switchable.length
+        ? { enabled: true, default_allowed_updates: ['price'], products: switchable, proration_behavior: 'none' }
+        : { enabled: false },
+    },
+  }
+}
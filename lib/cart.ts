@@ -0,0 +1,88 @@
+import { cookies } from 'next/headers'
+import { sumLines } from '@/lib/money'
+
+// Cookie-backed cart. Items carry enough product data to render the cart
+// without another Sanity round-trip; checkout only sends slug + quantity and
+// resolves prices server-side (lib/catalog.ts).
+export const CART_COOKIE = 'hg_cart'
+export const MAX_QUANTITY = 10
+const CART_MAX_AGE = 60 * 60 * 24 * 30 // 30 days
+
+export type CartItem = {
+  slug: string
+  title: string
+  // Display price in minor units; checkout re-resolves the real price
+  unitAmount?: number
+  currency?: string
+  quantity: number
+}
+
+function isCartItem(x: any): x is CartItem {
+  return (
+    x != null &&
+    typeof x.slug === 'string' &&
+    typeof x.title === 'string' &&
+    Number.isInteger(x.quantity) &&
+    x.quantity > 0
+  )
+}
+
+export function clampQuantity(q: unknown): number {
+  const n = Math.floor(Number(q))
+  if (!Number.isFinite(n) || n < 1) return 1
+  return Math.min(n, MAX_QUANTITY)
+}
+
+export function readCart(): CartItem[] {
+  const raw = cookies().get(CART_COOKIE)?.value
+  if (!raw) return []
+  try {
+    const parsed = JSON.parse(raw)
+    return Array.isArray(parsed) ? parsed.filter(isCartItem) : []
+  } catch {
+    return []
+  }
+}
+
+export function writeCart(items: CartItem[]) {
+  if (!items.length) {
+    cookies().delete(CART_COOKIE)
+    return
+  }
+  cookies().set(CART_COOKIE, JSON.stringify(items), {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+    maxAge: CART_MAX_AGE,
+  })
+}
+
+export function addItem(items: CartItem[], item: CartItem): CartItem[] {
+  const existing = items.find((i) => i.slug === item.slug)
+  if (!existing) return [...items, { ...item, quantity: clampQuantity(item.quantity) }]
+  return items.map((i) =>
+    i.slug === item.slug ? { ...i, quantity: clampQuantity(i.quantity + item.quantity) } : i
+  )
+}
+
+export function setQuantity(items: CartItem[], slug: string, quantity: number): CartItem[] {
+  if (quantity < 1) return removeItem(items, slug)
+  return items.map((i) => (i.slug === slug ? { ...i, quantity: clampQuantity(quantity) } : i))
+}
+
+export function removeItem(items: CartItem[], slug: string): CartItem[] {
+  return items.filter((i) => i.slug !== slug)
+}
+
+export function cartCount(items: CartItem[]): number {
+  return items.reduce((sum, i) => sum + i.quantity, 0)
+}
+
+/** Subtotal in minor units, or null when a line has no known price or currencies differ */
+export function cartSubtotal(items: CartItem[]): { amount: number; currency: string } | null {
+  const currency = items[0]?.currency
+  if (!currency) return null
+  if (items.some((i) => i.unitAmount == null || i.currency !== currency)) return null
+  return { amount: sumLines(items as { unitAmount: number; quantity: number }[]), currency }
+}
@@ -0,0 +1,97 @@
+import { z } from 'zod'
+import { sanityClient } from '@/lib/sanity/client'
+import { productsForCheckoutQuery } from '@/lib/sanity/queries'
+import { MAX_QUANTITY } from '@/lib/cart'
+import { CURRENCIES, priceField, type Currency } from '@/lib/pricing'
+
+// Checkout input is slugs only; Stripe prices are resolved here from Sanity so a
+// caller can never buy an arbitrary price in our Stripe account.
+
+export type CatalogProduct = {
+  _id: string
+  title: string
+  slug: string
+  priceEUR?: number
+  priceGBP?: number
+  flags?: { subscription?: boolean }
+  stripePriceIdOneTime?: string
+  stripePriceIdSubscription?: string
+  stripePriceIdSubscriptionQuarterly?: string
+  stripePriceIdOneTimeGBP?: string
+  stripePriceIdSubscriptionGBP?: string
+  stripePriceIdSubscriptionQuarterlyGBP?: string
+}
+
+export const SUBSCRIPTION_INTERVALS = ['month', 'quarter'] as const
+export type SubscriptionInterval = (typeof SUBSCRIPTION_INTERVALS)[number]
+
+// Redirect targets are fixed site paths, never free-form strings
+const SUCCESS_PATHS = ['/thanks'] as const
+const CANCEL_PATH = /^\/(?:cart|tests(?:\/[a-z0-9-]+)?)$/
+
+const slug = z.string().regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Invalid product slug')
+
+export const checkoutRequestSchema = z
+  .object({
+    slug: slug.optional(),
+    items: z
+      .array(z.object({ slug, quantity: z.number().int().min(1).max(MAX_QUANTITY).default(1) }))
+      .min(1)
+      .max(20)
+      .optional(),
+    mode: z.enum(['payment', 'subscription']).default('payment'),
+    interval: z.enum(SUBSCRIPTION_INTERVALS).default('month'),
+    currency: z.enum(CURRENCIES).default('eur'),
+    successPath: z.enum(SUCCESS_PATHS).default('/thanks'),
+    cancelPath: z.string().regex(CANCEL_PATH, 'cancelPath is not an allowed path').default('/tests'),
+  })
+  .refine((b) => b.slug || b.items, { message: 'Provide slug or items' })
+  .refine((b) => b.mode === 'payment' || !b.items || b.items.length === 1, {
+    message: 'Subscriptions are one product per checkout',
+  })
+  .transform(({ slug, items, ...rest }) => ({
+    ...rest,
+    items: items ?? [{ slug: slug!, quantity: 1 }],
+  }))
+
+export type CheckoutRequest = z.output<typeof checkoutRequestSchema>
+
+export function priceFor(
+  product: CatalogProduct,
+  mode: CheckoutRequest['mode'],
+  interval: SubscriptionInterval,
+  currency: Currency
+): string | undefined {
+  if (mode === 'subscription' && !product.flags?.subscription) return undefined
+  const field = priceField(mode === 'payment' ? 'oneTime' : interval, currency) as keyof CatalogProduct
+  const price = product[field] as string | undefined
+  // The default price is a EUR one-time price, so it can't stand in for other currencies
+  if (!price && mode === 'payment' && currency === 'eur') return process.env.NEXT_PUBLIC_STRIPE_DEFAULT_PRICE_ID
+  return price
+}
+
+/**
+ * Resolve a validated checkout request into Stripe line items; throws with .status like provisionProduct.
+ * `products[i]` is the catalog product behind `lineItems[i]`.
+ */
+export async function resolveLineItems({ items, mode, interval, currency }: CheckoutRequest) {
+  const slugs = Array.from(new Set(items.map((i) => i.slug)))
+  const products = await sanityClient.fetch<CatalogProduct[]>(productsForCheckoutQuery, { slugs })
+  const bySlug = new Map(products.map((p) => [p.slug, p]))
+
+  const quantities = new Map<string, number>()
+  for (const i of items) quantities.set(i.slug, Math.min((quantities.get(i.slug) ?? 0) + i.quantity, MAX_QUANTITY))
+
+  const lineItems = slugs.map((s) => {
+    const product = bySlug.get(s)
+    if (!product) throw Object.assign(new Error(`Unknown product: ${s}`), { status: 404 })
+    const price = priceFor(product, mode, interval, currency)
+    if (!price) {
+      const kind = mode === 'payment' ? 'one-time' : `${interval}ly`
+      throw Object.assign(new Error(`No ${kind} ${currency.toUpperCase()} price for ${s}`), { status: 400 })
+    }
+    return { price, quantity: quantities.get(s)! }
+  })
+
+  return { lineItems, products: slugs.map((s) => bySlug.get(s)!) }
+}
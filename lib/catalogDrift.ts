@@ -0,0 +1,13 @@
+import { stripe, sanityWriteClient as sanity } from '@/lib/clients'
+import { prisma } from '@/lib/prisma'
+import { provisionProduct } from '@/lib/provisionProduct'
+import { createReconciler } from '@/lib/reconcile'
+
+export type { DriftFinding, DriftFix, DriftKind } from '@/lib/reconcile'
+export { FIX_LABELS } from '@/lib/reconcile'
+
+// App-side reconciler for /admin/catalog; fixes go through the same provisioning engine
+const reconciler = createReconciler({ stripe, sanity, prisma, provision: provisionProduct })
+
+export const findCatalogDrift = reconciler.findDrift
+export const fixCatalogDrift = reconciler.fix
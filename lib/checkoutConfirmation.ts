@@ -0,0 +1,80 @@
+import Stripe from 'stripe'
+import { stripe } from '@/lib/clients'
+import { prisma } from '@/lib/prisma'
+import { addressesFromSession, type PostalAddress } from '@/lib/address'
+import { expectedDispatchDate } from '@/lib/dispatch'
+
+// What the thanks page shows for the ?cs={CHECKOUT_SESSION_ID} checkout appends.
+// Read straight from Stripe rather than our Order row, which the webhook may not
+// have written yet when the shopper lands.
+
+export type ConfirmationItem = { name: string; quantity: number; amount: number; slug?: string; priceId?: string }
+
+export type OrderConfirmation = {
+  sessionId: string
+  orderRef: string | null
+  email: string | null
+  mode: Stripe.Checkout.Session.Mode
+  items: ConfirmationItem[]
+  amountTotal: number
+  currency: string
+  shipping: PostalAddress | null
+  dispatchBy: Date
+}
+
+export type CheckoutConfirmation =
+  | { state: 'not_found' }
+  | { state: 'expired' }
+  | { state: 'open'; url: string | null }
+  /** Completed, but a delayed payment method (e.g. SEPA debit) hasn't settled */
+  | { state: 'processing'; order: OrderConfirmation }
+  | { state: 'paid'; order: OrderConfirmation }
+
+export async function loadCheckoutConfirmation(sessionId: string | undefined): Promise<CheckoutConfirmation> {
+  if (!sessionId || !/^cs_(test|live)_[A-Za-z0-9]+$/.test(sessionId)) return { state: 'not_found' }
+  const session = await stripe.checkout.sessions.retrieve(sessionId, { expand: ['line_items'] }).catch((err) => {
+    if (err?.code === 'resource_missing') return null
+    throw err
+  })
+  if (!session) return { state: 'not_found' }
+  if (session.status === 'expired') return { state: 'expired' }
+  if (session.status !== 'complete') return { state: 'open', url: session.url }
+
+  // The webhook's order row marks when checkout completed; until it lands, now is close enough
+  const recorded = await prisma.order.findUnique({ where: { stripeSessionId: session.id }, select: { createdAt: true } })
+
+  const order: OrderConfirmation = {
+    sessionId: session.id,
+    orderRef: session.client_reference_id || session.metadata?.orderRef || null,
+    email: session.customer_details?.email || session.customer_email || null,
+    mode: session.mode,
+    items: (session.line_items?.data || []).map((li) => ({
+      name: li.description || 'Test kit',
+      quantity: li.quantity || 1,
+      amount: li.amount_total,
+      slug: li.price?.metadata?.slug || undefined,
+      priceId: li.price?.id,
+    })),
+    amountTotal: session.amount_total ?? 0,
+    currency: session.currency || 'eur',
+    shipping: addressesFromSession(session).shipping ?? null,
+    dispatchBy: expectedDispatchDate(recorded?.createdAt ?? new Date()),
+  }
+  return session.payment_status === 'unpaid' ? { state: 'processing', order } : { state: 'paid', order }
+}
+
+/**
+ * Claim the purchase conversion for a session. True only the first time, so the
+ * event fires once however often the page is opened.
+ */
+export async function claimConversion(order: OrderConfirmation) {
+  try {
+    await prisma.conversionEvent.create({
+      data: { id: order.sessionId, value: order.amountTotal, currency: order.currency },
+    })
+    return true
+  } catch (err: any) {
+    if (err?.code !== 'P2002') throw err
+    return false
+  }
+}
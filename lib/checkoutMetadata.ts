@@ -0,0 +1,48 @@
+import type Stripe from 'stripe'
+
+// Links Checkout Sessions (and the PaymentIntent / Subscription they create) back to
+// Sanity products. Checkout line items using `price` cannot carry metadata, so each
+// line is encoded on the session as `line_<n>: "<priceId> <sanityId> <slug>"`.
+// Stripe allows 50 keys of up to 500 chars, which comfortably fits a 20-item cart.
+
+export type ProductRef = { priceId: string; sanityId: string; slug: string }
+
+const LINE_KEY = /^line_\d+$/
+
+export function encodeCheckoutMetadata(orderRef: string, refs: ProductRef[]): Record<string, string> {
+  const metadata: Record<string, string> = {
+    orderRef,
+    sanityIds: Array.from(new Set(refs.map((r) => r.sanityId))).join(',').slice(0, 500),
+  }
+  refs.forEach((r, i) => {
+    metadata[`line_${i}`] = `${r.priceId} ${r.sanityId} ${r.slug}`
+  })
+  return metadata
+}
+
+/** Product refs keyed by Stripe price ID */
+export function decodeProductRefs(metadata: Stripe.Metadata | null | undefined): Map<string, ProductRef> {
+  const refs = new Map<string, ProductRef>()
+  for (const [key, value] of Object.entries(metadata || {})) {
+    if (!LINE_KEY.test(key)) continue
+    const [priceId, sanityId, slug] = value.split(' ')
+    if (priceId && sanityId) refs.set(priceId, { priceId, sanityId, slug: slug || '' })
+  }
+  return refs
+}
+
+/**
+ * Best available product ref for a price: the session's own encoding first,
+ * then the sanityId/slug metadata provisioning stamps on prices and products.
+ */
+export function resolveProductRef(
+  refs: Map<string, ProductRef>,
+  price: Stripe.Price | null | undefined
+): Partial<ProductRef> {
+  if (!price) return {}
+  const fromSession = refs.get(price.id)
+  if (fromSession) return fromSession
+  const product = typeof price.product === 'object' && !price.product.deleted ? price.product : null
+  const md = { ...product?.metadata, ...price.metadata }
+  return { priceId: price.id, sanityId: md.sanityId || undefined, slug: md.slug || undefined }
+}
@@ -0,0 +1,63 @@
+// Stripe Checkout Session for one checkout request, from the cart or a product page.
+// app/api/checkout/create validates the request and looks up the signed-in shopper;
+// the server actions reach it through lib/startCheckout.ts.
+
+import { randomUUID } from 'node:crypto'
+import type Stripe from 'stripe'
+import type { CatalogProduct, CheckoutRequest } from './catalog'
+import { encodeCheckoutMetadata } from './checkoutMetadata'
+import type { AccountUser } from './customers'
+import { SHIPPING_COUNTRIES } from './pricing'
+
+type Deps = {
+  stripe: Stripe
+  /** lib/catalog.ts resolveLineItems; `products[i]` is the product behind `lineItems[i]` */
+  resolveLineItems: (
+    request: CheckoutRequest
+  ) => Promise<{ lineItems: { price: string; quantity: number }[]; products: Pick<CatalogProduct, '_id' | 'slug'>[] }>
+  /** Account → Stripe customer (see lib/customers.ts) */
+  ensureCustomer: (user: AccountUser) => Promise<string>
+  /** Absolute site origin the success and cancel paths hang off */
+  site: string
+}
+
+export function createCheckoutSessions({ stripe, resolveLineItems, ensureCustomer, site }: Deps) {
+  /** Signed-in shoppers check out as their account's Stripe customer; throws with .status */
+  async function create(request: CheckoutRequest, shopper: AccountUser | null) {
+    const { mode, successPath, cancelPath } = request
+    const { lineItems, products } = await resolveLineItems(request)
+    // orderRef follows the purchase through Stripe so the webhook can tie it back to the cart
+    const orderRef = randomUUID()
+    const metadata = encodeCheckoutMetadata(
+      orderRef,
+      lineItems.map((li, i) => ({ priceId: li.price, sanityId: products[i]._id, slug: products[i].slug }))
+    )
+    const stripeCustomerId = shopper ? await ensureCustomer(shopper) : undefined
+    if (shopper) metadata.userId = shopper.id
+    return stripe.checkout.sessions.create({
+      // subscription mode requires every price to be recurring (retest plans)
+      mode,
+      success_url: `${site}${successPath}?cs={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${site}${cancelPath}`,
+      line_items: lineItems,
+      allow_promotion_codes: true,
+      billing_address_collection: 'required',
+      shipping_address_collection: { allowed_countries: [...SHIPPING_COUNTRIES] },
+      phone_number_collection: { enabled: true }, // couriers need a contact number on the label
+      client_reference_id: orderRef,
+      metadata,
+      // Guests get a customer too (subscriptions always create one), so orders carry stripeCustomerId
+      ...(stripeCustomerId
+        ? { customer: stripeCustomerId, customer_update: { address: 'auto', shipping: 'auto', name: 'auto' } }
+        : mode === 'payment'
+          ? { customer_creation: 'always' }
+          : {}),
+      // Copied onto the payment / subscription so refunds and renewals carry the same refs
+      ...(mode === 'payment'
+        ? { payment_intent_data: { metadata } }
+        : { subscription_data: { metadata } }),
+    })
+  }
+
+  return { create }
+}
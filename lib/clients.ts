@@ -0,0 +1,17 @@
+import Stripe from 'stripe'
+import { createClient } from 'next-sanity'
+
+// Server-side Stripe and Sanity clients shared by the app's engine wiring
+// (provisioning, reconcile, promotions, customers, retest plans) and the webhooks.
+// The Sanity client writes, so it skips the CDN; read-only pages use lib/sanity/client.ts.
+
+// Leave apiVersion unspecified to use the library default; safer with changing dates
+export const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || '')
+
+export const sanityWriteClient = createClient({
+  projectId: process.env.SANITY_PROJECT_ID!,
+  dataset: process.env.SANITY_DATASET!,
+  apiVersion: process.env.SANITY_API_VERSION || '2024-07-01',
+  token: process.env.SANITY_WRITE_TOKEN,
+  useCdn: false,
+})
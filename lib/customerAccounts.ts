@@ -0,0 +1,26 @@
+import { stripe } from '@/lib/clients'
+import { prisma } from '@/lib/prisma'
+import { createCustomerLinker } from '@/lib/customers'
+
+export type { AccountUser, ConflictCustomer, CustomerConflict, MergeResult } from '@/lib/customers'
+
+// App-side customer linking: lib/customers.ts wired to the app's clients
+const linker = createCustomerLinker({ stripe, prisma })
+
+/** Stripe customer to use for a signed-in checkout (found or created, saved on the account) */
+export const ensureStripeCustomer = linker.ensureCustomer
+
+/** Attach guest orders and subscriptions with the account's verified email */
+export const claimGuestOrders = linker.claimGuestOrders
+
+/** Account a completed checkout belongs to, if any */
+export const userIdForCheckout = linker.userIdForCheckout
+
+/** Stripe customers whose billing the account may manage (portal) */
+export const billingCustomerIds = linker.billingCustomerIds
+
+/** Emails with several live Stripe customers, for /admin/customers */
+export const findCustomerConflicts = linker.findConflicts
+
+/** Merge an email's other Stripe customers into `primaryId`; throws with .status */
+export const mergeStripeCustomers = linker.merge
@@ -0,0 +1,214 @@
+import type Stripe from 'stripe'
+import type { PrismaClient } from '@prisma/client'
+
+// Links Stripe customers, guest orders and customer accounts (User rows).
+// One Stripe customer per account, reused at every signed-in checkout. Guest
+// checkouts create their own customers, so an email can end up with several;
+// findConflicts()/merge() back the /admin/customers merge tool. Wired to the
+// app's clients in lib/customerAccounts.ts.
+//
+// Stripe cannot move subscriptions or saved cards between customers, so a merge
+// never deletes anything: duplicates are marked metadata.mergedInto and our
+// orders and account are re-pointed at the surviving customer.
+
+export type AccountUser = { id: string; email: string; name?: string | null }
+
+export type ConflictCustomer = {
+  id: string
+  name: string | null
+  created: Date
+  orders: number
+  liveSubscriptions: number
+  /** Customer the account already uses */
+  isAccountCustomer: boolean
+}
+
+export type CustomerConflict = {
+  email: string
+  userId?: string
+  /** Account customer, else the one with most orders, else the oldest */
+  suggestedPrimaryId: string
+  customers: ConflictCustomer[]
+}
+
+export type MergeResult = {
+  primaryId: string
+  merged: string[]
+  ordersMoved: number
+  /** Duplicates still billing subscriptions in Stripe; they keep working on the old customer */
+  keptForSubscriptions: string[]
+}
+
+const fail = (message: string, status: number) => Object.assign(new Error(message), { status })
+const normalise = (email: string) => email.trim().toLowerCase()
+const LIVE_STATUSES = ['active', 'trialing', 'past_due', 'unpaid', 'paused', 'incomplete']
+
+type Deps = { stripe: Stripe; prisma: Pick<PrismaClient, 'user' | 'order' | 'subscription'> }
+
+export function createCustomerLinker({ stripe, prisma }: Deps) {
+  /** Stripe customers for an email, leaving out deleted and merged-away ones */
+  async function customersByEmail(email: string) {
+    const query = `email:'${normalise(email).replace(/'/g, "\\'")}'`
+    const found = await stripe.customers.search({ query, limit: 100 })
+    return found.data.filter((c) => !c.metadata?.mergedInto)
+  }
+
+  /**
+   * Stripe customer for a signed-in checkout: the account's own, else an existing
+   * customer with the same email (a past guest checkout), else a new one.
+   */
+  async function ensureCustomer(user: AccountUser): Promise<string> {
+    const account = await prisma.user.findUnique({ where: { id: user.id } })
+    if (!account) throw fail('Account not found', 404)
+    if (account.stripeCustomerId) {
+      const current = await stripe.customers.retrieve(account.stripeCustomerId).catch(() => null)
+      if (current && !current.deleted) return current.id
+    }
+
+    const existing = (await customersByEmail(user.email)).sort((a, b) => a.created - b.created)
+    const reuse = existing.find((c) => c.metadata?.userId === user.id) || existing[0]
+    let customerId: string
+    if (reuse) {
+      customerId = reuse.id
+      if (reuse.metadata?.userId !== user.id) {
+        await stripe.customers.update(reuse.id, { metadata: { userId: user.id } })
+      }
+    } else {
+      const created = await stripe.customers.create(
+        { email: normalise(user.email), name: user.name || undefined, metadata: { userId: user.id } },
+        // Double-clicked checkout → one customer; a replaced (deleted) customer gets a fresh key
+        { idempotencyKey: `customer:${user.id}:${account.stripeCustomerId || 'none'}` }
+      )
+      customerId = created.id
+    }
+    await prisma.user.update({ where: { id: user.id }, data: { stripeCustomerId: customerId } })
+    return customerId
+  }
+
+  /**
+   * Attach guest orders and subscriptions placed with this email to the account.
+   * Only call once the email is verified (magic-link sign-in does that).
+   */
+  async function claimGuestOrders(user: AccountUser) {
+    const where = { userId: null, email: { equals: normalise(user.email), mode: 'insensitive' as const } }
+    const orders = await prisma.order.updateMany({ where, data: { userId: user.id } })
+    const subscriptions = await prisma.subscription.updateMany({ where, data: { userId: user.id } })
+    return { orders: orders.count, subscriptions: subscriptions.count }
+  }
+
+  /**
+   * Account a completed checkout belongs to: the signed-in user recorded on the
+   * session, else a verified account with the checkout email.
+   */
+  async function userIdForCheckout(email: string | null | undefined, metadataUserId?: string | null) {
+    if (metadataUserId) {
+      const user = await prisma.user.findUnique({ where: { id: metadataUserId } })
+      if (user) return user.id
+    }
+    if (!email) return undefined
+    const user = await prisma.user.findFirst({
+      where: { email: { equals: normalise(email), mode: 'insensitive' }, emailVerified: { not: null } },
+    })
+    return user?.id
+  }
+
+  /**
+   * Stripe customers this account may manage billing for: its own, plus any its
+   * subscriptions run on (guest checkouts, or duplicates kept by a merge).
+   */
+  async function billingCustomerIds(user: AccountUser): Promise<string[]> {
+    const account = await prisma.user.findUnique({ where: { id: user.id } })
+    const subs = await prisma.subscription.findMany({
+      where: { OR: [{ userId: user.id }, { userId: null, email: { equals: normalise(user.email), mode: 'insensitive' } }] },
+      select: { stripeCustomerId: true },
+    })
+    const ids = [account?.stripeCustomerId, ...subs.map((s) => s.stripeCustomerId)]
+    return Array.from(new Set(ids.filter((id): id is string => Boolean(id))))
+  }
+
+  /** Emails with more than one live Stripe customer */
+  async function findConflicts(): Promise<CustomerConflict[]> {
+    const all = await stripe.customers.list({ limit: 100 }).autoPagingToArray({ limit: 10000 })
+    const byEmail = new Map<string, Stripe.Customer[]>()
+    for (const c of all) {
+      if (!c.email || c.metadata?.mergedInto) continue
+      const key = normalise(c.email)
+      byEmail.set(key, [...(byEmail.get(key) || []), c])
+    }
+
+    const conflicts: CustomerConflict[] = []
+    for (const [email, customers] of Array.from(byEmail)) {
+      if (customers.length < 2) continue
+      conflicts.push(await describeConflict(email, customers))
+    }
+    return conflicts.sort((a, b) => a.email.localeCompare(b.email))
+  }
+
+  async function describeConflict(email: string, customers: Stripe.Customer[]): Promise<CustomerConflict> {
+    const ids = customers.map((c) => c.id)
+    const user = await prisma.user.findFirst({ where: { email: { equals: email, mode: 'insensitive' } } })
+    const orders = await prisma.order.groupBy({
+      by: ['stripeCustomerId'],
+      where: { stripeCustomerId: { in: ids } },
+      _count: { _all: true },
+    })
+    const subs = await prisma.subscription.groupBy({
+      by: ['stripeCustomerId'],
+      where: { stripeCustomerId: { in: ids }, status: { in: LIVE_STATUSES } },
+      _count: { _all: true },
+    })
+    const count = (rows: { stripeCustomerId: string | null; _count: { _all: number } }[], id: string) =>
+      rows.find((r) => r.stripeCustomerId === id)?._count._all ?? 0
+
+    const described = customers
+      .map((c) => ({
+        id: c.id,
+        name: c.name ?? null,
+        created: new Date(c.created * 1000),
+        orders: count(orders, c.id),
+        liveSubscriptions: count(subs, c.id),
+        isAccountCustomer: c.id === user?.stripeCustomerId,
+      }))
+      .sort((a, b) => a.created.getTime() - b.created.getTime())
+    const suggested =
+      described.find((c) => c.isAccountCustomer) ||
+      described.reduce((best, c) => (c.orders > best.orders ? c : best), described[0])
+    return { email, userId: user?.id, suggestedPrimaryId: suggested.id, customers: described }
+  }
+
+  /**
+   * Merge every other live customer with the primary's email into the primary.
+   * Re-checks the conflict first so a stale admin page can't merge the wrong set.
+   */
+  async function merge(primaryId: string, { actor = 'system' }: { actor?: string } = {}): Promise<MergeResult> {
+    const primary = await stripe.customers.retrieve(primaryId)
+    if (primary.deleted || !primary.email) throw fail('Primary customer not found or has no email', 404)
+    const conflict = await describeConflict(normalise(primary.email), await customersByEmail(primary.email))
+    const duplicates = conflict.customers.filter((c) => c.id !== primaryId)
+    if (!duplicates.length) throw fail(`No other customers share ${primary.email}`, 404)
+
+    const merged = duplicates.map((c) => c.id)
+    const mergedAt = new Date().toISOString()
+    for (const id of merged) {
+      await stripe.customers.update(id, { metadata: { mergedInto: primaryId, mergedBy: actor, mergedAt } })
+    }
+    await stripe.customers.update(primaryId, {
+      metadata: { ...(conflict.userId ? { userId: conflict.userId } : {}), mergedFrom: merged.join(',').slice(0, 500) },
+    })
+    const moved = await prisma.order.updateMany({
+      where: { stripeCustomerId: { in: merged } },
+      data: { stripeCustomerId: primaryId },
+    })
+    if (conflict.userId) {
+      await prisma.user.update({ where: { id: conflict.userId }, data: { stripeCustomerId: primaryId } })
+    }
+    return {
+      primaryId,
+      merged,
+      ordersMoved: moved.count,
+      keptForSubscriptions: duplicates.filter((c) => c.liveSubscriptions > 0).map((c) => c.id),
+    }
+  }
+
+  return { ensureCustomer, claimGuestOrders, userIdForCheckout, billingCustomerIds, findConflicts, merge }
+}
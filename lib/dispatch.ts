@@ -0,0 +1,28 @@
+// When a paid order's kit leaves the lab. Orders paid on a weekday before the
+// cut-off (Irish time) go out the same day; later ones go the next weekday.
+// Bank holidays aren't modelled, so the date shown is the earliest possible.
+
+export const DISPATCH_TIME_ZONE = 'Europe/Dublin'
+export const DISPATCH_CUTOFF_HOUR = 14
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/** Dispatch day as midnight UTC of that calendar day in Ireland; format it with timeZone: 'UTC' */
+export function expectedDispatchDate(paidAt: Date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone: DISPATCH_TIME_ZONE,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      hourCycle: 'h23',
+    })
+      .formatToParts(paidAt)
+      .map((p) => [p.type, Number(p.value)])
+  )
+  let day = new Date(Date.UTC(parts.year, parts.month - 1, parts.day))
+  if (parts.hour >= DISPATCH_CUTOFF_HOUR) day = new Date(day.getTime() + DAY_MS)
+  while (day.getUTCDay() === 0 || day.getUTCDay() === 6) day = new Date(day.getTime() + DAY_MS)
+  return day
+}
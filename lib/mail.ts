@@ -0,0 +1,58 @@
+import { mkdir, writeFile } from 'fs/promises'
+import path from 'path'
+import { Resend } from 'resend'
+
+// Outgoing email. MAIL_TRANSPORT picks where it goes:
+//  resend   send through Resend (default when RESEND_API_KEY is set)
+//  console  print to the server log (default in development)
+//  file     write each message to .mail/ as HTML, to open in a browser
+// Production refuses to fall back to console/file so sign-in links can't silently vanish.
+
+export type MailMessage = { to: string; subject: string; html: string; text: string }
+
+type Transport = 'resend' | 'console' | 'file'
+
+export const MAIL_DIR = path.join(process.cwd(), '.mail')
+
+function transport(): Transport {
+  const configured = process.env.MAIL_TRANSPORT as Transport | undefined
+  if (configured) return configured
+  if (process.env.RESEND_API_KEY) return 'resend'
+  if (process.env.NODE_ENV === 'production') throw new Error('Missing RESEND_API_KEY')
+  return 'console'
+}
+
+/** The passwordless sign-in email NextAuth sends (lib/auth.ts) */
+export function signInMessage(to: string, url: string): MailMessage {
+  const { host } = new URL(url)
+  return {
+    to,
+    subject: `Sign in to ${host}`,
+    text: `Sign in to ${host}:\n${url}\n\nThe link works once and expires in 24 hours. If you did not ask for it, ignore this email.`,
+    html: `<p>Sign in to <strong>${host}</strong>:</p>
+<p><a href="${url}">Sign in</a></p>
+<p>The link works once and expires in 24 hours. If you did not ask for it, ignore this email.</p>`,
+  }
+}
+
+export async function sendMail(message: MailMessage) {
+  const from = process.env.EMAIL_FROM || 'hello@hormonegroup.ie'
+  switch (transport()) {
+    case 'resend': {
+      const resend = new Resend(process.env.RESEND_API_KEY)
+      const { error } = await resend.emails.send({ from, ...message })
+      if (error) throw new Error(`Resend: ${error.message}`)
+      return
+    }
+    case 'file': {
+      await mkdir(MAIL_DIR, { recursive: true })
+      const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.html`
+      const file = path.join(MAIL_DIR, name)
+      await writeFile(file, `<!-- From: ${from}\nTo: ${message.to}\nSubject: ${message.subject} -->\n${message.html}`)
+      console.log(`📧 ${message.subject} → ${message.to} (saved to ${file})`)
+      return
+    }
+    default:
+      console.log(`📧 From: ${from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`)
+  }
+}
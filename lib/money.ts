@@ -0,0 +1,66 @@
+// Shared money helpers. Amounts are integers in minor units (cents, pence) paired
+// with a lowercase ISO currency code, the same shape Stripe uses. Decimal amounts
+// only exist at the edges: Sanity's priceEUR, admin form input and display.
+
+// Currencies we may see from Stripe that have no minor unit
+const ZERO_DECIMAL = new Set(['jpy', 'krw', 'vnd', 'clp', 'isk', 'huf'])
+
+// Display locale per currency when the caller does not pass one
+const DEFAULT_LOCALES: Record<string, string> = { eur: 'en-IE', gbp: 'en-GB', usd: 'en-US' }
+
+export function currencyExponent(currency: string) {
+  return ZERO_DECIMAL.has(String(currency).toLowerCase()) ? 0 : 2
+}
+
+/**
+ * Decimal major units → integer minor units, rounding half away from zero.
+ * Shifts the decimal point in the string form so 1.005 becomes 101, not 100.
+ */
+export function toMinorUnits(amount: number | string, currency = 'eur') {
+  const n = Number(amount)
+  if (!Number.isFinite(n)) throw new Error(`Invalid money amount: ${amount}`)
+  const exp = currencyExponent(currency)
+  const abs = String(Math.abs(n))
+  // Very small/large numbers already print in exponent form; plain multiply is exact enough there
+  const shifted = abs.includes('e') ? Math.abs(n) * 10 ** exp : Number(`${abs}e${exp}`)
+  const minor = Math.round(shifted)
+  return n < 0 && minor !== 0 ? -minor : minor
+}
+
+/** Integer minor units → decimal major units. For JSON-LD and analytics, not arithmetic. */
+export function fromMinorUnits(minor: number, currency = 'eur') {
+  return Number(minor) / 10 ** currencyExponent(currency)
+}
+
+/** Minor units as a fixed-point string, e.g. 6900 → "69.00" */
+export function toDecimalString(minor: number, currency = 'eur') {
+  return fromMinorUnits(minor, currency).toFixed(currencyExponent(currency))
+}
+
+/**
+ * Parses user-entered amounts like "12", "12.5" or "12,50" into minor units.
+ * Returns null for anything that is not a plain positive amount with at most
+ * as many decimals as the currency allows.
+ */
+export function parseMoneyInput(input: unknown, currency = 'eur') {
+  const s = String(input ?? '').trim().replace(',', '.')
+  const exp = currencyExponent(currency)
+  const re = exp ? new RegExp(`^\\d+(\\.\\d{1,${exp}})?$`) : /^\d+$/
+  if (!re.test(s)) return null
+  const [whole, frac = ''] = s.split('.')
+  return Number(whole) * 10 ** exp + Number(frac.padEnd(exp, '0') || 0)
+}
+
+/** Locale-aware display: formatMoney(6900, 'eur') → "€69.00", formatMoney(5900, 'gbp') → "£59.00" */
+export function formatMoney(minor: number, currency = 'eur', locale?: string) {
+  const code = String(currency).toLowerCase()
+  return new Intl.NumberFormat(locale || DEFAULT_LOCALES[code] || 'en-IE', {
+    style: 'currency',
+    currency: code.toUpperCase(),
+  }).format(fromMinorUnits(minor, code))
+}
+
+/** Sum of unit × quantity lines, all in one currency */
+export function sumLines(lines: { unitAmount: number; quantity: number }[]) {
+  return lines.reduce((sum, l) => sum + l.unitAmount * l.quantity, 0)
+}
@@ -0,0 +1,79 @@
+import { prisma } from '@/lib/prisma'
+
+// Fulfilment lifecycle for a kit order. Stored as a plain string on Order.status;
+// every change is appended to OrderEvent so each step has its own timestamp.
+// Delayed payment methods (SEPA debit) start in pending_payment until Stripe settles them.
+export const ORDER_STATUSES = [
+  'pending_payment',
+  'paid',
+  'kit_dispatched',
+  'sample_received',
+  'in_lab',
+  'results_ready',
+  'completed',
+  'cancelled',
+  'refunded',
+] as const
+
+export type OrderStatus = (typeof ORDER_STATUSES)[number]
+
+export const ORDER_STATUS_LABELS: Record<OrderStatus, string> = {
+  pending_payment: 'Awaiting payment',
+  paid: 'Paid',
+  kit_dispatched: 'Kit dispatched',
+  sample_received: 'Sample received',
+  in_lab: 'In lab',
+  results_ready: 'Results ready',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  refunded: 'Refunded',
+}
+
+// Cancelling is only possible before the sample is back; refunds are allowed at any point
+const TRANSITIONS: Record<OrderStatus, OrderStatus[]> = {
+  pending_payment: ['paid', 'cancelled'],
+  paid: ['kit_dispatched', 'cancelled', 'refunded'],
+  kit_dispatched: ['sample_received', 'cancelled', 'refunded'],
+  sample_received: ['in_lab', 'refunded'],
+  in_lab: ['results_ready', 'refunded'],
+  results_ready: ['completed', 'refunded'],
+  completed: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: [],
+}
+
+export function isOrderStatus(x: unknown): x is OrderStatus {
+  return typeof x === 'string' && (ORDER_STATUSES as readonly string[]).includes(x)
+}
+
+export function nextStatuses(from: string): OrderStatus[] {
+  return isOrderStatus(from) ? TRANSITIONS[from] : []
+}
+
+export function canTransition(from: string, to: OrderStatus): boolean {
+  return nextStatuses(from).includes(to)
+}
+
+export interface TransitionOptions {
+  /** Who caused the change, e.g. 'admin' or 'stripe:evt_123' */
+  actor: string
+  note?: string
+}
+
+/** Move an order to a new status and record the OrderEvent; throws 404/409 like provisionProduct */
+export async function transitionOrder(orderId: string, to: OrderStatus, { actor, note }: TransitionOptions) {
+  return prisma.$transaction(async (tx) => {
+    const order = await tx.order.findUnique({ where: { id: orderId } })
+    if (!order) throw Object.assign(new Error('Order not found'), { status: 404 })
+    if (order.status === to) return order
+    if (!canTransition(order.status, to)) {
+      throw Object.assign(new Error(`Cannot move order from ${order.status} to ${to}`), { status: 409 })
+    }
+
+    const updated = await tx.order.update({ where: { id: orderId }, data: { status: to } })
+    await tx.orderEvent.create({
+      data: { orderId, fromStatus: order.status, toStatus: to, actor, note },
+    })
+    return updated
+  })
+}
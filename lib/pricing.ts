@@ -0,0 +1,67 @@
+// Which currency a shopper pays in, and where each currency's price lives on the
+// Sanity product. EUR is the catalogue currency (priceEUR plus the original
+// unsuffixed stripePriceId* fields); other currencies add a suffix, e.g.
+// priceGBP / stripePriceIdOneTimeGBP.
+
+import { toMinorUnits } from './money'
+
+export const CURRENCIES = ['eur', 'gbp'] as const
+
+export type Currency = (typeof CURRENCIES)[number]
+export type PriceKind = 'oneTime' | 'month' | 'quarter'
+
+// Countries checkout ships to; everything outside the UK is in the eurozone
+export const SHIPPING_COUNTRIES = ['IE', 'GB', 'DE', 'FR', 'ES', 'IT', 'NL'] as const
+const COUNTRY_CURRENCY: Record<string, Currency> = { GB: 'gbp' }
+
+// Sanity field holding the EUR Stripe price for each kind of purchase
+const PRICE_FIELDS: Record<PriceKind, string> = {
+  oneTime: 'stripePriceIdOneTime',
+  month: 'stripePriceIdSubscription',
+  quarter: 'stripePriceIdSubscriptionQuarterly',
+}
+
+// EUR → currency rates used when a product has no explicit local price
+const DEFAULT_FX: Partial<Record<Currency, number>> = { gbp: 0.85 }
+
+export function isCurrency(x: unknown): x is Currency {
+  return (CURRENCIES as readonly unknown[]).includes(x)
+}
+
+export function currencyForCountry(country: string | null | undefined): Currency {
+  return COUNTRY_CURRENCY[String(country || '').toUpperCase()] || 'eur'
+}
+
+/** priceField('oneTime', 'gbp') → 'stripePriceIdOneTimeGBP' */
+export function priceField(kind: PriceKind, currency: Currency) {
+  const base = PRICE_FIELDS[kind]
+  return currency === 'eur' ? base : `${base}${currency.toUpperCase()}`
+}
+
+/** Every Stripe price ID field a product can have, across currencies and purchase kinds */
+export const ALL_PRICE_FIELDS = CURRENCIES.flatMap((c) => (Object.keys(PRICE_FIELDS) as PriceKind[]).map((k) => priceField(k, c)))
+
+/** Sanity field with the decimal list price: priceEUR, priceGBP */
+export function listPriceField(currency: Currency) {
+  return `price${currency.toUpperCase()}`
+}
+
+function fxRate(currency: Currency) {
+  const fromEnv = Number(process.env[`FX_EUR_${currency.toUpperCase()}`])
+  return Number.isFinite(fromEnv) && fromEnv > 0 ? fromEnv : DEFAULT_FX[currency]
+}
+
+/**
+ * Unit price in minor units for a product in `currency`, or null if it has no price.
+ * Uses the product's own local price when set, otherwise converts priceEUR at the
+ * FX rate and rounds to a whole unit so derived prices still look deliberate.
+ */
+export function unitAmountFor(product: Record<string, any> | null | undefined, currency: Currency): number | null {
+  const local = product?.[listPriceField(currency)]
+  if (local != null) return toMinorUnits(local, currency)
+  if (product?.priceEUR == null) return null
+  if (currency === 'eur') return toMinorUnits(product.priceEUR, 'eur')
+  const rate = fxRate(currency)
+  if (!rate) return null
+  return toMinorUnits(Math.round(Number(product.priceEUR) * rate), currency)
+}
@@ -0,0 +1,16 @@
+import { stripe, sanityWriteClient as sanity } from '@/lib/clients'
+import { createPromotionSync } from '@/lib/promotions'
+
+export type { Promotion, PromotionRedemption, PromotionSyncResult } from '@/lib/promotions'
+
+// App-side promotion sync: lib/promotions.ts wired to the app's clients
+const promotions = createPromotionSync({ stripe, sanity })
+
+/** Make Stripe's coupon + promotion code match one Sanity promotion; throws with .status */
+export const syncPromotion = promotions.sync
+
+/** Stop a deleted or unpublished promotion's code being accepted */
+export const deactivatePromotion = promotions.deactivate
+
+/** Copy Stripe's redemption counts for these promotion codes back to Sanity */
+export const recordPromotionRedemptions = promotions.recordRedemptions
@@ -0,0 +1,225 @@
+// Sanity → Stripe sync for `promotion` documents. Each promotion becomes one Stripe
+// coupon (the discount) plus one promotion code (what shoppers type at checkout,
+// where allow_promotion_codes is on). Stripe coupons and codes can't be edited
+// once created, so changing a promotion's terms retires the old pair and issues a
+// new one; the terms hash in the coupon's metadata tells us whether that's needed.
+// Used by the Sanity promotion webhook, the Stripe webhook (redemption counts) and
+// scripts/stripe-sync-from-sanity.js.
+
+import { createHash } from 'node:crypto'
+import type Stripe from 'stripe'
+import { CURRENCIES, unitAmountFor } from './pricing'
+
+export interface Promotion {
+  _id: string
+  _rev?: string
+  title?: string
+  code: string
+  discountType: 'percent' | 'amount'
+  percentOff?: number
+  /** Decimal major units, like priceEUR on products */
+  amountOffEUR?: number
+  amountOffGBP?: number
+  expiresAt?: string
+  maxRedemptions?: number
+  active?: boolean
+  /** Eligible products; empty means the whole order */
+  products?: { _id: string; title?: string; stripeProductId?: string }[]
+  stripeCouponId?: string
+  stripePromotionCodeId?: string
+}
+
+export type PromotionAction = 'none' | 'create' | 'replace' | 'reactivate' | 'deactivate'
+
+export interface PromotionSyncResult {
+  ok: true
+  dryRun: boolean
+  id: string
+  code: string
+  action: PromotionAction
+  stripeCouponId?: string
+  stripePromotionCodeId?: string
+}
+export type PromotionReport = PromotionSyncResult | { ok: false; id: string; code: string; error: string }
+
+export interface PromotionRedemption { sanityId: string; code: string; timesRedeemed: number }
+
+export interface SanityPromotionClient {
+  fetch<T = any>(query: string, params?: Record<string, unknown>): Promise<T>
+  patch(id: string): { set(attrs: Record<string, unknown>): { commit(): Promise<unknown> } }
+}
+
+export const PROMOTION_PROJECTION = `{
+  _id, _rev, title, code, discountType, percentOff, amountOffEUR, amountOffGBP, expiresAt, maxRedemptions, active,
+  "products": products[]->{_id, title, stripeProductId},
+  stripeCouponId, stripePromotionCodeId
+}`
+
+const fail = (message: string, status: number) => Object.assign(new Error(message), { status })
+const toUnix = (iso?: string) => (iso ? Math.floor(new Date(iso).getTime() / 1000) : undefined)
+
+/** Live in Stripe: switched on in the Studio and not past its expiry */
+export function isLive(promo: Promotion, now = Date.now()) {
+  return Boolean(promo.active) && (!promo.expiresAt || new Date(promo.expiresAt).getTime() > now)
+}
+
+/**
+ * Coupon and promotion code parameters for a promotion. Fixed amounts are set per
+ * currency; GBP falls back to the EUR amount at the FX rate, like product prices.
+ */
+export function stripeTerms(promo: Promotion): {
+  coupon: Stripe.CouponCreateParams
+  promotionCode: Omit<Stripe.PromotionCodeCreateParams, 'coupon'>
+  /** Stored in the coupon's metadata.terms to detect edits */
+  hash: string
+} {
+  const code = String(promo.code || '').trim().toUpperCase()
+  if (!/^[A-Z0-9]+$/.test(code)) throw fail(`Promotion code "${promo.code}" must be letters and digits only`, 400)
+
+  const coupon: Stripe.CouponCreateParams = { name: String(promo.title || code).slice(0, 40), duration: 'once' }
+  if (promo.discountType === 'percent') {
+    if (!(promo.percentOff && promo.percentOff > 0 && promo.percentOff <= 100)) throw fail('percentOff must be between 0 and 100', 400)
+    coupon.percent_off = promo.percentOff
+  } else {
+    const amounts = { priceEUR: promo.amountOffEUR, priceGBP: promo.amountOffGBP }
+    const [base, ...others] = CURRENCIES.map((currency) => ({ currency, amount: unitAmountFor(amounts, currency) }))
+    if (!base.amount) throw fail('amountOffEUR missing on fixed-amount promotion', 400)
+    coupon.amount_off = base.amount
+    coupon.currency = base.currency
+    coupon.currency_options = Object.fromEntries(
+      others.filter((o) => o.amount).map((o) => [o.currency, { amount_off: o.amount! }])
+    )
+  }
+
+  const products = promo.products || []
+  const unprovisioned = products.filter((p) => !p.stripeProductId)
+  if (unprovisioned.length) {
+    throw fail(`Eligible products not in Stripe yet: ${unprovisioned.map((p) => p.title || p._id).join(', ')}`, 409)
+  }
+  if (products.length) coupon.applies_to = { products: products.map((p) => p.stripeProductId!) }
+  if (promo.expiresAt) coupon.redeem_by = toUnix(promo.expiresAt)
+
+  const promotionCode: Omit<Stripe.PromotionCodeCreateParams, 'coupon'> = { code }
+  if (promo.expiresAt) promotionCode.expires_at = toUnix(promo.expiresAt)
+  if (promo.maxRedemptions) promotionCode.max_redemptions = promo.maxRedemptions
+
+  const hash = createHash('sha256').update(JSON.stringify({ coupon, promotionCode })).digest('hex').slice(0, 16)
+  return { coupon, promotionCode, hash }
+}
+
+/** sanity needs a write token */
+export function createPromotionSync({ stripe, sanity }: { stripe: Stripe; sanity: SanityPromotionClient }) {
+  async function loadPromotion(id: string) {
+    const promo = await sanity.fetch<Promotion | null>(`*[_type=="promotion" && _id==$id][0]${PROMOTION_PROJECTION}`, { id })
+    if (!promo) throw fail('Promotion not found', 404)
+    return promo
+  }
+
+  async function retrieveCode(id: string | undefined) {
+    return id ? stripe.promotionCodes.retrieve(id).catch(() => null) : null
+  }
+
+  async function retire(pc: Stripe.PromotionCode | null) {
+    if (!pc?.active) return false
+    await stripe.promotionCodes.update(pc.id, { active: false })
+    return true
+  }
+
+  /**
+   * Make Stripe match one promotion. Unchanged terms only toggle the promotion
+   * code's active flag; changed terms retire the old code before creating the new
+   * one, since a code can only be active once.
+   */
+  /** Sync by Sanity id or an already-loaded promotion; throws with .status (400/404/409) */
+  async function sync(input: string | Promotion, { dryRun = false } = {}): Promise<PromotionSyncResult> {
+    const promo = typeof input === 'string' ? await loadPromotion(input) : input
+    const live = isLive(promo)
+    const result: PromotionSyncResult = { ok: true, dryRun, id: promo._id, code: promo.code, action: 'none' }
+
+    if (!live) {
+      const pc = await retrieveCode(promo.stripePromotionCodeId)
+      if (pc?.active) {
+        result.action = 'deactivate'
+        if (!dryRun) await retire(pc)
+      }
+      return { ...result, stripeCouponId: promo.stripeCouponId, stripePromotionCodeId: promo.stripePromotionCodeId }
+    }
+
+    const terms = stripeTerms(promo)
+    const coupon = promo.stripeCouponId ? await stripe.coupons.retrieve(promo.stripeCouponId).catch(() => null) : null
+    const pc = await retrieveCode(promo.stripePromotionCodeId)
+
+    if (coupon && !coupon.deleted && coupon.metadata?.terms === terms.hash && pc) {
+      if (!pc.active) {
+        result.action = 'reactivate'
+        if (!dryRun) await stripe.promotionCodes.update(pc.id, { active: true })
+      }
+      return { ...result, stripeCouponId: coupon.id, stripePromotionCodeId: pc.id }
+    }
+
+    result.action = coupon || pc ? 'replace' : 'create'
+    if (dryRun) return { ...result, stripeCouponId: promo.stripeCouponId, stripePromotionCodeId: promo.stripePromotionCodeId }
+
+    await retire(pc)
+    const metadata = { sanityId: promo._id, terms: terms.hash }
+    // Same Sanity revision → same key, so a retried webhook doesn't mint a second coupon
+    const key = ['promotion', promo._id, promo._rev || 'norev', terms.hash].join(':')
+    const newCoupon = await stripe.coupons.create({ ...terms.coupon, metadata }, { idempotencyKey: `${key}:coupon` })
+    const newCode = await stripe.promotionCodes.create(
+      { ...terms.promotionCode, coupon: newCoupon.id, metadata: { sanityId: promo._id } },
+      { idempotencyKey: `${key}:code` }
+    )
+    // Deleting a coupon leaves discounts already applied to subscriptions in place
+    if (coupon && !coupon.deleted) await stripe.coupons.del(coupon.id)
+
+    await sanity
+      .patch(promo._id)
+      .set({ stripeCouponId: newCoupon.id, stripePromotionCodeId: newCode.id, timesRedeemed: 0 })
+      .commit()
+    return { ...result, stripeCouponId: newCoupon.id, stripePromotionCodeId: newCode.id }
+  }
+
+  /** Sync every published promotion; failures come back as { ok: false, error } */
+  async function syncAll({
+    dryRun = false,
+    onProgress,
+  }: { dryRun?: boolean; onProgress?: (r: PromotionReport) => void } = {}) {
+    const promos = await sanity.fetch<Promotion[]>(`*[_type=="promotion" && !(_id in path("drafts.**"))]|order(code asc)${PROMOTION_PROJECTION}`)
+    const results: PromotionReport[] = []
+    for (const promo of promos) {
+      try {
+        results.push(await sync(promo, { dryRun }))
+      } catch (err: any) {
+        results.push({ ok: false, id: promo._id, code: promo.code, error: err?.message || String(err) })
+      }
+      onProgress?.(results[results.length - 1])
+    }
+    return results
+  }
+
+  /** Deleted or unpublished promotion: stop its code being accepted */
+  async function deactivate({ stripePromotionCodeId }: { stripePromotionCodeId?: string }) {
+    return { ok: true, deactivated: await retire(await retrieveCode(stripePromotionCodeId)) }
+  }
+
+  /**
+   * Copy redemption counts for the promotion codes used on a completed checkout
+   * back to Sanity. Stripe's count is authoritative, so replayed events are harmless.
+   */
+  async function recordRedemptions(promotionCodeIds: string[]) {
+    const recorded: PromotionRedemption[] = []
+    for (const id of Array.from(new Set(promotionCodeIds))) {
+      const pc = await stripe.promotionCodes.retrieve(id)
+      const sanityId = pc.metadata?.sanityId
+      if (!sanityId) continue
+      const current = await sanity.fetch<string | null>(`*[_type=="promotion" && _id==$sanityId][0].stripePromotionCodeId`, { sanityId })
+      // A code retired by a terms change no longer feeds the document's count
+      if (current !== pc.id) continue
+      await sanity.patch(sanityId).set({ timesRedeemed: pc.times_redeemed, lastRedeemedAt: new Date().toISOString() }).commit()
+      recorded.push({ sanityId, code: pc.code, timesRedeemed: pc.times_redeemed })
+    }
+    return recorded
+  }
+
+  return { loadPromotion, sync, syncAll, deactivate, recordRedemptions }
+}
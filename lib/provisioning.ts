@@ -0,0 +1,409 @@
+// Sanity → Stripe provisioning engine. The admin provision route and the Sanity
+// product webhook use it through lib/provisionProduct.ts; scripts/stripe-sync-from-sanity.js
+// uses it directly. plan() only reads; apply() writes the plan to Stripe, Sanity and
+// the PriceChange history.
+//
+// Concurrent runs for one product (webhook + admin route firing together) are kept
+// apart three ways: a ProvisionLock row per product, a Stripe product search by
+// metadata.sanityId before creating one, and idempotency keys derived from the
+// Sanity revision so a retried or racing create returns the same Stripe object.
+
+import { randomUUID } from 'node:crypto'
+import type Stripe from 'stripe'
+import type { PrismaClient } from '@prisma/client'
+import { CURRENCIES, priceField, unitAmountFor, type Currency } from './pricing'
+
+/** A product document as PRODUCT_PROJECTION returns it; price IDs are keyed by field name */
+export type SanityProduct = Record<string, any> & { _id: string; _rev?: string; title: string; slug?: string }
+
+export interface WantedPrice {
+  field: string
+  currency: Currency
+  amount: number
+  recurring?: { interval: 'month'; interval_count: number }
+  nickname: string
+}
+
+export interface SanityWriter {
+  fetch<T = any>(query: string, params?: Record<string, unknown>): Promise<T>
+  patch(id: string): {
+    set(attrs: Record<string, unknown>): { unset(keys: string[]): { commit(): Promise<unknown> } }
+  }
+}
+
+export interface ProvisionInput { slug?: string; id?: string }
+export interface ProvisionOptions {
+  /** Work out what would change without writing to Stripe, Sanity or the price history */
+  dryRun?: boolean
+  /** Recorded on price history rows: 'admin:<name>', 'cli:<user>', 'sanity-webhook'... */
+  actor?: string
+}
+
+/** One Stripe price provisioning creates, and the price it replaces if any */
+export interface PlannedPrice {
+  field: string
+  currency: Currency
+  newAmount: number
+  oldStripePriceId?: string
+  oldAmount?: number | null
+  newStripePriceId?: string
+}
+
+export interface ProvisionPlan {
+  product: SanityProduct
+  /** Undefined until apply() finds or creates the Stripe product */
+  stripeProductId: string | undefined
+  /** The Stripe product exists but is archived */
+  reactivateProduct: boolean
+  /** Prices that already match, keyed by Sanity field; apply() adds the new ones */
+  prices: Record<string, string>
+  changes: (PlannedPrice & Pick<WantedPrice, 'recurring' | 'nickname'>)[]
+}
+
+export interface ProvisionResult {
+  ok: true
+  dryRun: boolean
+  id: string
+  slug: string | undefined
+  stripeProductId: string | undefined
+  stripePriceIdOneTime: string | undefined
+  /** Every Stripe price ID on the product, keyed by Sanity field (see lib/pricing.ts) */
+  prices: Record<string, string>
+  changes: PlannedPrice[]
+}
+
+export interface ProvisionFailure { ok: false; id: string; slug?: string; error: string }
+export type ProvisionReport = ProvisionResult | ProvisionFailure
+
+export interface ArchiveResult {
+  ok: true
+  id: string
+  /** The published document still exists, so nothing was archived */
+  skipped: boolean
+  products: string[]
+  prices: string[]
+}
+
+export interface BulkOptions extends ProvisionOptions {
+  concurrency?: number
+  onProgress?: (p: { done: number; total: number; result: ProvisionReport }) => void
+}
+
+export const PRODUCT_PROJECTION = `{
+  _id, _rev, title, "slug": slug.current, priceEUR, priceGBP, flags, stripeProductId, stripeSyncIssue,
+  stripePriceIdOneTime, stripePriceIdSubscription, stripePriceIdSubscriptionQuarterly,
+  stripePriceIdOneTimeGBP, stripePriceIdSubscriptionGBP, stripePriceIdSubscriptionQuarterlyGBP
+}`
+
+// Retest cadences offered when flags.subscription is set on the product
+const SUBSCRIPTION_INTERVALS: Record<'month' | 'quarter', { interval: 'month'; interval_count: number; label: string }> = {
+  month: { interval: 'month', interval_count: 1, label: 'monthly' },
+  quarter: { interval: 'month', interval_count: 3, label: 'quarterly' },
+}
+
+const LOCK_TTL_MS = 2 * 60 * 1000
+const LOCK_WAIT_MS = 20 * 1000
+const LOCK_POLL_MS = 500
+
+const fail = (message: string, status: number) => Object.assign(new Error(message), { status })
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/** Same Sanity revision + same intended write → same key, so Stripe replays instead of duplicating */
+function idempotencyKey(product: SanityProduct, ...parts: (string | number)[]) {
+  return ['provision', product._id, product._rev || 'norev', ...parts].join(':')
+}
+
+/** Every Stripe price the product should have: one per currency and purchase kind */
+export function wantedPrices(product: Record<string, any>): WantedPrice[] {
+  const wanted: WantedPrice[] = []
+  for (const currency of CURRENCIES) {
+    const amount = unitAmountFor(product, currency)
+    if (amount == null) continue
+    const tag = currency === 'eur' ? '' : ` ${currency.toUpperCase()}`
+    wanted.push({ field: priceField('oneTime', currency), currency, amount, nickname: `${product.title} one-time${tag}` })
+    if (!product.flags?.subscription) continue
+    for (const [kind, { interval, interval_count, label }] of Object.entries(SUBSCRIPTION_INTERVALS) as [
+      'month' | 'quarter',
+      (typeof SUBSCRIPTION_INTERVALS)['month'],
+    ][]) {
+      wanted.push({
+        field: priceField(kind, currency),
+        currency,
+        amount,
+        recurring: { interval, interval_count },
+        nickname: `${product.title} ${label}${tag}`,
+      })
+    }
+  }
+  return wanted
+}
+
+function report(plan: ProvisionPlan, dryRun: boolean): ProvisionResult {
+  return {
+    ok: true,
+    dryRun,
+    id: plan.product._id,
+    slug: plan.product.slug,
+    stripeProductId: plan.stripeProductId,
+    stripePriceIdOneTime: plan.prices.stripePriceIdOneTime,
+    prices: plan.prices,
+    changes: plan.changes.map(({ recurring, nickname, ...c }) => c),
+  }
+}
+
+/** sanity needs a write token for apply(); prisma holds the locks and the price history */
+export function createProvisioner({
+  stripe,
+  sanity,
+  prisma,
+}: {
+  stripe: Stripe
+  sanity: SanityWriter
+  prisma: Pick<PrismaClient, 'provisionLock' | 'priceChange'>
+}) {
+  const owner = randomUUID()
+
+  async function tryLock(key: string) {
+    const expiresAt = new Date(Date.now() + LOCK_TTL_MS)
+    try {
+      await prisma.provisionLock.create({ data: { key, owner, expiresAt } })
+      return true
+    } catch (err: any) {
+      if (err?.code !== 'P2002') throw err
+      // Held already; take it over only if the holder died and the lease ran out
+      const taken = await prisma.provisionLock.updateMany({
+        where: { key, expiresAt: { lt: new Date() } },
+        data: { owner, expiresAt },
+      })
+      return taken.count === 1
+    }
+  }
+
+  /** Run fn while holding the product's lock; waits for a concurrent run, then gives up with 409 */
+  async function withProductLock<T>(productId: string, fn: () => Promise<T>): Promise<T> {
+    const key = `product:${productId}`
+    const deadline = Date.now() + LOCK_WAIT_MS
+    while (!(await tryLock(key))) {
+      if (Date.now() > deadline) throw fail(`Provisioning already in progress for ${productId}`, 409)
+      await sleep(LOCK_POLL_MS)
+    }
+    try {
+      return await fn()
+    } finally {
+      await prisma.provisionLock.deleteMany({ where: { key, owner } })
+    }
+  }
+
+  /**
+   * Existing Stripe product for a Sanity document. Search results can lag a few
+   * seconds behind writes, which is why creation also carries an idempotency key.
+   */
+  async function findStripeProduct(sanityId: string) {
+    const found = await searchStripeProducts(sanityId)
+    return found.find((p) => p.active) || found[0] || null
+  }
+
+  async function searchStripeProducts(sanityId: string) {
+    const query = `metadata['sanityId']:'${sanityId.replace(/'/g, "\\'")}'`
+    return (await stripe.products.search({ query, limit: 10 })).data
+  }
+
+  async function loadProduct({ slug, id }: ProvisionInput) {
+    if (!slug && !id) throw fail('Provide slug or id', 400)
+    const product = await sanity.fetch<SanityProduct | null>(
+      `*[_type=="product" && (!defined($slug) || slug.current==$slug) && (!defined($id) || _id==$id)][0]${PRODUCT_PROJECTION}`,
+      { slug: slug ?? null, id: id ?? null }
+    )
+    if (!product) throw fail('Product not found', 404)
+    return product
+  }
+
+  /** Compare each wanted price with what the product points at today. Read-only. */
+  async function plan(product: SanityProduct): Promise<ProvisionPlan> {
+    if (product.priceEUR == null) throw fail('priceEUR missing on product in Sanity', 400)
+    // A deleted Stripe product is found again or recreated; an archived one (unpublished, then republished) is reactivated
+    const sProduct = product.stripeProductId
+      ? await stripe.products.retrieve(product.stripeProductId).catch(() => null)
+      : null
+    const stripeProductId = sProduct && !sProduct.deleted ? sProduct.id : undefined
+    const prices: Record<string, string> = {}
+    const changes: ProvisionPlan['changes'] = []
+    for (const w of wantedPrices(product)) {
+      const existingId = product[w.field]
+      const existing = existingId ? await stripe.prices.retrieve(existingId).catch(() => null) : null
+      if (existing?.active && existing.unit_amount === w.amount && existing.currency === w.currency) {
+        prices[w.field] = existing.id
+        continue
+      }
+      changes.push({
+        field: w.field,
+        currency: w.currency,
+        newAmount: w.amount,
+        oldStripePriceId: existingId || undefined,
+        // Only known when the old price still exists in Stripe
+        oldAmount: existing ? existing.unit_amount : undefined,
+        recurring: w.recurring,
+        nickname: w.nickname,
+      })
+    }
+    return {
+      product,
+      stripeProductId,
+      reactivateProduct: Boolean(stripeProductId && !sProduct?.active),
+      prices,
+      changes,
+    }
+  }
+
+  /**
+   * Create the product and any changed prices, record each new price in PriceChange,
+   * point Sanity at them and only then archive replaced prices (existing subscriptions
+   * keep billing on them), so the price.updated webhook for our own archival finds no
+   * document still on the old price.
+   */
+  async function apply(plan: ProvisionPlan, { actor = 'system' }: { actor?: string } = {}) {
+    const { product } = plan
+    const metadata = { sanityId: product._id, slug: product.slug || '' }
+
+    if (!plan.stripeProductId) {
+      const existing = await findStripeProduct(product._id)
+      // Recreating one deleted in Stripe at the same revision must not replay the create that made it
+      const replacing = product.stripeProductId ? [product.stripeProductId] : []
+      const sProduct =
+        existing ||
+        (await stripe.products.create(
+          { name: product.title, metadata },
+          { idempotencyKey: idempotencyKey(product, 'product', ...replacing) }
+        ))
+      plan.stripeProductId = sProduct.id
+      plan.reactivateProduct = !sProduct.active
+    }
+    if (plan.reactivateProduct) {
+      await stripe.products.update(plan.stripeProductId!, { active: true })
+    }
+
+    const replaced: string[] = []
+    for (const c of plan.changes) {
+      const sPrice = await stripe.prices.create(
+        {
+          product: plan.stripeProductId!,
+          currency: c.currency,
+          unit_amount: c.newAmount,
+          ...(c.recurring ? { recurring: c.recurring } : {}),
+          nickname: c.nickname,
+          metadata,
+        },
+        {
+          idempotencyKey: idempotencyKey(
+            product,
+            plan.stripeProductId!,
+            c.field,
+            c.newAmount,
+            c.oldStripePriceId || 'none'
+          ),
+        }
+      )
+      c.newStripePriceId = plan.prices[c.field] = sPrice.id
+      if (c.oldStripePriceId && c.oldAmount !== undefined) replaced.push(c.oldStripePriceId)
+      await prisma.priceChange.create({
+        data: {
+          sanityProductId: product._id,
+          slug: product.slug,
+          stripeProductId: plan.stripeProductId,
+          field: c.field,
+          currency: c.currency,
+          oldStripePriceId: c.oldStripePriceId,
+          oldAmount: c.oldAmount ?? null,
+          newStripePriceId: sPrice.id,
+          newAmount: c.newAmount,
+          changedBy: actor,
+        },
+      })
+    }
+
+    if (product.stripeProductId !== plan.stripeProductId || plan.changes.length || product.stripeSyncIssue) {
+      await sanity
+        .patch(product._id)
+        .set({ stripeProductId: plan.stripeProductId, ...plan.prices })
+        .unset(['stripeSyncIssue'])
+        .commit()
+    }
+    for (const priceId of replaced) {
+      await stripe.prices.update(priceId, { active: false })
+    }
+    return report(plan, false)
+  }
+
+  /**
+   * Stop a deleted or unpublished Sanity product being sold: archive its Stripe
+   * product(s) and their active prices. Skips if the published document still exists.
+   */
+  async function archive({ id, stripeProductId }: { id: string; stripeProductId?: string }): Promise<ArchiveResult> {
+    return withProductLock(id, async () => {
+      const stillPublished = await sanity.fetch(`*[_type=="product" && _id==$id][0]._id`, { id })
+      if (stillPublished) return { ok: true, id, skipped: true, products: [], prices: [] }
+
+      const found = await searchStripeProducts(id)
+      const productIds = Array.from(new Set([stripeProductId, ...found.map((p) => p.id)])).filter(
+        (pid): pid is string => Boolean(pid)
+      )
+      const archived: Pick<ArchiveResult, 'products' | 'prices'> = { products: [], prices: [] }
+      for (const productId of productIds) {
+        const active = await stripe.prices.list({ product: productId, active: true, limit: 100 }).autoPagingToArray({ limit: 1000 })
+        for (const price of active) {
+          await stripe.prices.update(price.id, { active: false })
+          archived.prices.push(price.id)
+        }
+        await stripe.products.update(productId, { active: false })
+        archived.products.push(productId)
+      }
+      return { ok: true, id, skipped: false, ...archived }
+    })
+  }
+
+  /**
+   * Plan and (unless dryRun) apply one product, looked up by slug or Sanity id.
+   * Applying happens under the product's lock, re-reading the product once it is
+   * held so a run that waited sees what the previous run wrote.
+   */
+  async function provision(input: ProvisionInput, { dryRun = false, actor }: ProvisionOptions = {}) {
+    const product = await loadProduct(input)
+    if (dryRun) return report(await plan(product), true)
+    return withProductLock(product._id, async () => apply(await plan(await loadProduct({ id: product._id })), { actor }))
+  }
+
+  /**
+   * Provision every published product, `concurrency` at a time. Never throws for a
+   * single product: failures come back in the report as { ok: false, error }.
+   */
+  async function provisionAll({ dryRun = false, actor, concurrency = 3, onProgress }: BulkOptions = {}) {
+    const products = await sanity.fetch<SanityProduct[]>(`*[_type=="product" && !(_id in path("drafts.**"))]|order(title asc)${PRODUCT_PROJECTION}`)
+    const results: ProvisionReport[] = new Array(products.length)
+    let next = 0
+    let done = 0
+
+    async function worker() {
+      while (next < products.length) {
+        const i = next++
+        const product = products[i]
+        try {
+          results[i] = dryRun
+            ? report(await plan(product), true)
+            : await withProductLock(product._id, async () =>
+                apply(await plan(await loadProduct({ id: product._id })), { actor })
+              )
+        } catch (err: any) {
+          results[i] = { ok: false, id: product._id, slug: product.slug, error: err?.message || String(err) }
+        }
+        done++
+        onProgress?.({ done, total: products.length, result: results[i] })
+      }
+    }
+
+    const workers = Math.max(1, Math.min(concurrency, products.length))
+    await Promise.all(Array.from({ length: workers }, worker))
+    return results
+  }
+
+  return { loadProduct, plan, apply, provision, provisionAll, archive }
+}
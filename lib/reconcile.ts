@@ -0,0 +1,281 @@
+// Catalog drift between Sanity (source of truth), Stripe and Postgres orders.
+// findDrift() only reads; fix() applies a finding's auto-fix, re-checking that finding's
+// subject first so a stale report can't archive or re-provision the wrong thing. Used by
+// scripts/reconcile-catalog.mjs and /admin/catalog (via lib/catalogDrift.ts).
+
+import type Stripe from 'stripe'
+import type { PrismaClient } from '@prisma/client'
+import { formatMoney } from './money'
+import { ALL_PRICE_FIELDS } from './pricing'
+import { PRODUCT_PROJECTION, wantedPrices, type SanityProduct } from './provisioning'
+
+export type DriftKind =
+  | 'missing_stripe_product'
+  | 'stripe_product_not_found'
+  | 'stripe_product_archived'
+  | 'missing_price'
+  | 'price_not_found'
+  | 'price_archived'
+  | 'price_amount_mismatch'
+  | 'orphaned_stripe_product'
+  | 'duplicate_stripe_product'
+  | 'order_unknown_price'
+
+export type DriftFix = 'provision' | 'reprovision' | 'reactivate_product' | 'archive_product'
+
+export interface DriftFinding {
+  /** Stable across runs: '<kind>:<subject>' */
+  id: string
+  kind: DriftKind
+  message: string
+  sanityId?: string
+  slug?: string
+  stripeProductId?: string
+  stripePriceId?: string
+  field?: string
+  /** Undefined for report-only findings */
+  fix?: DriftFix
+}
+
+export interface SanityPatcher {
+  fetch<T = any>(query: string, params?: Record<string, unknown>): Promise<T>
+  patch(id: string): { unset(attrs: string[]): { commit(): Promise<unknown> } }
+}
+
+type Subject = Pick<DriftFinding, 'sanityId' | 'slug' | 'stripeProductId' | 'stripePriceId' | 'field'>
+
+// Auto-fixes, by finding kind. Kinds without an entry are report-only.
+const FIXES: Partial<Record<DriftKind, DriftFix>> = {
+  missing_stripe_product: 'provision',
+  stripe_product_not_found: 'reprovision',
+  stripe_product_archived: 'reactivate_product',
+  missing_price: 'provision',
+  price_not_found: 'provision',
+  price_archived: 'provision',
+  price_amount_mismatch: 'provision',
+  orphaned_stripe_product: 'archive_product',
+  duplicate_stripe_product: 'archive_product',
+}
+
+export const FIX_LABELS: Record<DriftFix, string> = {
+  provision: 'Provision from Sanity',
+  reprovision: 'Clear Stripe IDs and provision',
+  reactivate_product: 'Reactivate Stripe product',
+  archive_product: 'Archive Stripe product and prices',
+}
+
+const publishedId = (id: string) => id.replace(/^drafts\./, '')
+
+function finding(kind: DriftKind, key: string, message: string, subject: Subject): DriftFinding {
+  return { id: `${kind}:${key}`, kind, message, ...subject, fix: FIXES[kind] }
+}
+
+/** provision is the provisioning engine's provision() (see lib/provisioning.ts) */
+export function createReconciler({
+  stripe,
+  sanity,
+  prisma,
+  provision,
+}: {
+  stripe: Stripe
+  sanity: SanityPatcher
+  prisma: Pick<PrismaClient, 'orderItem'>
+  provision: (input: { id: string }, opts: { actor?: string }) => Promise<unknown>
+}) {
+  /** Drift on published product documents, against the Stripe objects given */
+  function documentFindings(
+    products: SanityProduct[],
+    productById: Map<string, Stripe.Product>,
+    priceById: Map<string, Stripe.Price>
+  ) {
+    const findings: DriftFinding[] = []
+    for (const doc of products) {
+      const subject = { sanityId: doc._id, slug: doc.slug }
+      const sp = doc.stripeProductId ? productById.get(doc.stripeProductId) : undefined
+      if (!doc.stripeProductId) {
+        if (doc.priceEUR != null) {
+          findings.push(finding('missing_stripe_product', doc._id, 'No Stripe product ID', subject))
+        }
+        continue
+      }
+      if (!sp) {
+        findings.push(
+          finding('stripe_product_not_found', doc._id, `Stripe product ${doc.stripeProductId} no longer exists`, {
+            ...subject,
+            stripeProductId: doc.stripeProductId,
+          })
+        )
+        continue
+      }
+      if (!sp.active) {
+        findings.push(
+          finding('stripe_product_archived', doc._id, `Stripe product ${sp.id} is archived`, {
+            ...subject,
+            stripeProductId: sp.id,
+          })
+        )
+      }
+
+      for (const w of doc.priceEUR == null ? [] : wantedPrices(doc)) {
+        const priceId = doc[w.field]
+        const at = { ...subject, stripeProductId: sp.id, field: w.field, stripePriceId: priceId }
+        const key = `${doc._id}:${w.field}`
+        const price = priceId ? priceById.get(priceId) : undefined
+        if (!priceId) {
+          findings.push(finding('missing_price', key, `No Stripe price in ${w.field}`, at))
+        } else if (!price) {
+          findings.push(finding('price_not_found', key, `${w.field} → ${priceId} no longer exists in Stripe`, at))
+        } else if (!price.active) {
+          findings.push(finding('price_archived', key, `${w.field} → ${priceId} is archived`, at))
+        } else if (price.unit_amount !== w.amount || price.currency !== w.currency) {
+          const actual = price.unit_amount == null ? 'custom amount' : formatMoney(price.unit_amount, price.currency)
+          findings.push(
+            finding(
+              'price_amount_mismatch',
+              key,
+              `${w.field} → ${priceId} is ${actual}, Sanity says ${formatMoney(w.amount, w.currency)}`,
+              at
+            )
+          )
+        }
+      }
+    }
+    return findings
+  }
+
+  /**
+   * Active Stripe products that claim a Sanity document which is gone or owned by
+   * another product. `claimed` maps published ids to their stripeProductId;
+   * `existingDocs` holds published ids with a published or draft document.
+   */
+  function claimFindings(stripeProducts: Stripe.Product[], claimed: Map<string, string | undefined>, existingDocs: Set<string>) {
+    const findings: DriftFinding[] = []
+    for (const sp of stripeProducts) {
+      const sanityId = sp.metadata?.sanityId
+      if (!sanityId || !sp.active) continue
+      const subject = { sanityId, stripeProductId: sp.id }
+      const owner = claimed.get(sanityId)
+      if (!existingDocs.has(publishedId(sanityId))) {
+        findings.push(
+          finding('orphaned_stripe_product', sp.id, `Stripe product ${sp.id} points at deleted document ${sanityId}`, subject)
+        )
+      } else if (owner && owner !== sp.id) {
+        findings.push(
+          finding(
+            'duplicate_stripe_product',
+            sp.id,
+            `Stripe product ${sp.id} duplicates ${owner} for ${sanityId}`,
+            subject
+          )
+        )
+      }
+    }
+    return findings
+  }
+
+  async function findDrift(): Promise<DriftFinding[]> {
+    const [products, allIds, stripeProducts, stripePrices, orderPrices] = await Promise.all([
+      sanity.fetch<SanityProduct[]>(`*[_type=="product" && !(_id in path("drafts.**"))]|order(title asc)${PRODUCT_PROJECTION}`),
+      sanity.fetch<string[]>(`*[_type=="product"]._id`),
+      stripe.products.list({ limit: 100 }).autoPagingToArray({ limit: 10000 }),
+      stripe.prices.list({ limit: 100 }).autoPagingToArray({ limit: 10000 }),
+      prisma.orderItem.groupBy({
+        by: ['stripePriceId'],
+        where: { stripePriceId: { not: null } },
+        _count: { _all: true },
+      }),
+    ])
+    const priceById = new Map(stripePrices.map((p) => [p.id, p]))
+    const findings = [
+      ...documentFindings(products, new Map(stripeProducts.map((p) => [p.id, p])), priceById),
+      ...claimFindings(
+        stripeProducts,
+        new Map(products.map((d) => [d._id, d.stripeProductId])),
+        new Set(allIds.map(publishedId))
+      ),
+    ]
+
+    for (const row of orderPrices) {
+      if (!row.stripePriceId || priceById.has(row.stripePriceId)) continue
+      findings.push(
+        finding(
+          'order_unknown_price',
+          row.stripePriceId,
+          `${row._count._all} order item(s) reference ${row.stripePriceId}, which is not in this Stripe account`,
+          { stripePriceId: row.stripePriceId }
+        )
+      )
+    }
+
+    return findings
+  }
+
+  const publishedDoc = (id: string) =>
+    sanity.fetch<SanityProduct | null>(`*[_type=="product" && _id==$id][0]${PRODUCT_PROJECTION}`, { id })
+  // Stripe reports deleted objects as { deleted: true } or a 404
+  const liveProduct = (id: string) =>
+    stripe.products.retrieve(id).then((p) => (p.deleted ? null : p), () => null)
+  const livePrice = (id: string): Promise<Stripe.Price | null> => stripe.prices.retrieve(id).catch(() => null)
+
+  /**
+   * Current findings for one finding's subject: a Sanity document (and the Stripe
+   * objects it points at) or a Stripe product, without scanning the whole catalog.
+   */
+  async function recheck(findingId: string): Promise<DriftFinding[]> {
+    const [kind, key = ''] = findingId.split(/:(.*)/s)
+    if (kind === 'orphaned_stripe_product' || kind === 'duplicate_stripe_product') {
+      const sp = await liveProduct(key)
+      const sanityId = sp?.metadata?.sanityId
+      if (!sp || !sanityId) return []
+      const id = publishedId(sanityId)
+      const [doc, ids] = await Promise.all([
+        publishedDoc(id),
+        sanity.fetch<string[]>(`*[_type=="product" && _id in [$id, $draftId]]._id`, { id, draftId: `drafts.${id}` }),
+      ])
+      return claimFindings([sp], new Map(doc ? [[doc._id, doc.stripeProductId]] : []), new Set(ids.map(publishedId)))
+    }
+
+    const doc = await publishedDoc(key.split(':')[0])
+    if (!doc) return []
+    const sp = doc.stripeProductId ? await liveProduct(doc.stripeProductId) : null
+    const priceIds = wantedPrices(doc).map((w) => doc[w.field]).filter((id): id is string => Boolean(id))
+    const prices = (await Promise.all(priceIds.map(livePrice))).filter((p): p is Stripe.Price => Boolean(p))
+    return documentFindings([doc], new Map(sp ? [[sp.id, sp]] : []), new Map(prices.map((p) => [p.id, p])))
+  }
+
+  /** Re-check the finding's subject and apply its fix; throws 404 if it is no longer drifting */
+  async function fix(findingId: string, { actor = 'system' }: { actor?: string } = {}) {
+    const f = (await recheck(findingId)).find((x) => x.id === findingId)
+    if (!f) throw Object.assign(new Error('Finding no longer present'), { status: 404 })
+    if (!f.fix) throw Object.assign(new Error(`No auto-fix for ${f.kind}`), { status: 400 })
+
+    switch (f.fix) {
+      case 'provision':
+        await provision({ id: f.sanityId! }, { actor })
+        break
+      case 'reprovision': {
+        // Drop every Stripe ID so provisioning starts from a clean product
+        await sanity.patch(f.sanityId!).unset(['stripeProductId', ...ALL_PRICE_FIELDS]).commit()
+        await provision({ id: f.sanityId! }, { actor })
+        break
+      }
+      case 'reactivate_product':
+        await stripe.products.update(f.stripeProductId!, { active: true })
+        break
+      case 'archive_product': {
+        // Its prices too, as provisioning's archive() does, so none of them can still be sold
+        const active = await stripe.prices
+          .list({ product: f.stripeProductId!, active: true, limit: 100 })
+          .autoPagingToArray({ limit: 1000 })
+        for (const price of active) {
+          await stripe.prices.update(price.id, { active: false })
+        }
+        await stripe.products.update(f.stripeProductId!, { active: false })
+        break
+      }
+    }
+    return f
+  }
+
+  return { findDrift, fix }
+}
@@ -0,0 +1,237 @@
+import type Stripe from 'stripe'
+import type { PrismaClient } from '@prisma/client'
+import { isCurrency, priceField } from '@/lib/pricing'
+import { PRODUCT_PROJECTION } from '@/lib/provisioning'
+
+// Retest plan changes a subscriber can make from their account, and the shipment
+// planning fields we mirror from Stripe onto Subscription.
+//  skip / pause  pause_collection { behavior: 'void' } until just after the last
+//                skipped renewal: those invoices are voided, so no invoice.paid and
+//                no renewal order (kit) is created for them
+//  interval      a subscription schedule whose next phase uses the other cadence's
+//                price, released after one cycle so the subscription carries on with it.
+//                Stripe bills the switch as subscription_update rather than a cycle;
+//                lib/stripeWebhook.ts still creates that period's renewal order
+// Wired to the app's clients in lib/subscriptionPlans.ts.
+
+export type PlanKind = 'month' | 'quarter'
+
+export const MAX_PAUSE_CYCLES = 6
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const fail = (message: string, status: number) => Object.assign(new Error(message), { status })
+const toDate = (ts?: number | null) => (ts ? new Date(ts * 1000) : null)
+const idOf = (x: string | { id: string } | null | undefined) => (typeof x === 'string' ? x : x?.id)
+
+/** Calendar months later in UTC, clamped to the month's last day (31 Jan + 1 → 28/29 Feb) */
+export function addMonths(date: Date, months: number) {
+  const d = new Date(date)
+  const day = d.getUTCDate()
+  d.setUTCDate(1)
+  d.setUTCMonth(d.getUTCMonth() + months)
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate()
+  d.setUTCDate(Math.min(day, lastDay))
+  return d
+}
+
+/** Billing interval in months, or null for cadences retest plans don't use */
+export function intervalMonths(recurring: { interval: string; interval_count: number } | null | undefined) {
+  if (recurring?.interval === 'month') return recurring.interval_count
+  if (recurring?.interval === 'year') return recurring.interval_count * 12
+  return null
+}
+
+export function planKind(months: number | null): PlanKind | null {
+  if (months === 1) return 'month'
+  if (months === 3) return 'quarter'
+  return null
+}
+
+/**
+ * When the next kit ships: the first renewal at or after `periodEnd` that is not
+ * voided by a pause. Null when the plan is ending or paused indefinitely.
+ */
+export function nextShipmentDate(opts: {
+  periodEnd: Date | null
+  months: number | null
+  paused: boolean
+  resumesAt: Date | null
+  ending: boolean
+}) {
+  const { periodEnd, months, paused, resumesAt, ending } = opts
+  if (ending || !periodEnd || !months) return null
+  if (paused && !resumesAt) return null
+  let next = periodEnd
+  while (paused && resumesAt && next < resumesAt) next = addMonths(next, months)
+  return next
+}
+
+/** resumes_at that voids `cycles` renewals starting with the one at `firstSkipped` */
+export function resumeAfterCycles(firstSkipped: Date, months: number, cycles: number) {
+  return new Date(addMonths(firstSkipped, months * (cycles - 1)).getTime() + DAY_MS)
+}
+
+/** Shipment planning fields for a Stripe subscription (and its schedule, if any) */
+export function planFields(sub: Stripe.Subscription, schedule?: Stripe.SubscriptionSchedule | null, now = Date.now()) {
+  const item = sub.items.data[0]
+  const recurring = item?.price?.recurring
+  const months = intervalMonths(recurring)
+  const pausedUntil = toDate(sub.pause_collection?.resumes_at)
+  const ending = sub.status === 'canceled' || sub.cancel_at_period_end || Boolean(sub.cancel_at)
+  const nextPhase = schedule?.phases.find((p) => p.start_date * 1000 > now)
+  return {
+    interval: recurring?.interval ?? null,
+    intervalCount: recurring?.interval_count ?? null,
+    pausedUntil,
+    nextShipmentAt: nextShipmentDate({
+      periodEnd: toDate(item?.current_period_end),
+      months,
+      paused: Boolean(sub.pause_collection),
+      resumesAt: pausedUntil,
+      ending,
+    }),
+    scheduledPriceId: idOf(nextPhase?.items[0]?.price) ?? null,
+    scheduledChangeAt: toDate(nextPhase?.start_date),
+  }
+}
+
+type Deps = {
+  stripe: Stripe
+  sanity: { fetch<T = any>(query: string, params?: Record<string, unknown>): Promise<T> }
+  prisma: Pick<PrismaClient, 'subscription' | 'subscriptionEvent'>
+  /** Account for a subscription (see lib/customers.ts) */
+  userIdFor: (email: string | null | undefined, metadataUserId?: string | null) => Promise<string | undefined>
+}
+
+export function createRetestPlans({ stripe, sanity, prisma, userIdFor }: Deps) {
+  /**
+   * Mirror a Stripe subscription into our Subscription table (period dates live on
+   * the item). Webhooks, the Billing Portal and the plan changes below all land here.
+   */
+  async function mirror(sub: Stripe.Subscription, email?: string | null) {
+    const item = sub.items.data[0]
+    const scheduleId = idOf(sub.schedule)
+    const schedule =
+      typeof sub.schedule === 'object' && sub.schedule
+        ? sub.schedule
+        : scheduleId
+          ? await stripe.subscriptionSchedules.retrieve(scheduleId)
+          : null
+    const data = {
+      stripeCustomerId: typeof sub.customer === 'string' ? sub.customer : sub.customer.id,
+      stripePriceId: item?.price?.id ?? null,
+      status: sub.status,
+      currentPeriodStart: toDate(item?.current_period_start),
+      currentPeriodEnd: toDate(item?.current_period_end),
+      // The Billing Portal may schedule a cancellation with cancel_at rather than the period-end flag
+      cancelAtPeriodEnd: sub.cancel_at_period_end || Boolean(sub.cancel_at),
+      canceledAt: toDate(sub.canceled_at),
+      ...planFields(sub, schedule),
+    }
+    // Checkout copies the signed-in userId onto the subscription's metadata
+    const userId = await userIdFor(email, sub.metadata?.userId)
+    return prisma.subscription.upsert({
+      where: { stripeSubscriptionId: sub.id },
+      create: { stripeSubscriptionId: sub.id, email: email || null, userId, ...data },
+      update: { ...data, ...(email ? { email } : {}), ...(userId ? { userId } : {}) },
+    })
+  }
+
+  async function load(stripeSubscriptionId: string) {
+    const sub = await stripe.subscriptions.retrieve(stripeSubscriptionId)
+    if (!['active', 'trialing', 'past_due'].includes(sub.status) || sub.cancel_at_period_end || sub.cancel_at) {
+      throw fail('Only active plans that are not ending can be changed', 409)
+    }
+    const months = intervalMonths(sub.items.data[0]?.price?.recurring)
+    if (!months) throw fail('This plan does not renew monthly', 409)
+    return { sub, months }
+  }
+
+  async function record(sub: Stripe.Subscription, kind: string, actor: string, note?: string) {
+    const row = await mirror(sub)
+    await prisma.subscriptionEvent.create({ data: { subscriptionId: row.id, kind, actor, note } })
+    return row
+  }
+
+  /**
+   * Void the next `cycles` renewals (skipping one is pausing for one). If the plan
+   * is already paused, the new cycles follow on from the first kit that would ship.
+   */
+  async function pause(stripeSubscriptionId: string, cycles: number, { actor, kind = 'pause' }: { actor: string; kind?: string }) {
+    if (!Number.isInteger(cycles) || cycles < 1 || cycles > MAX_PAUSE_CYCLES) {
+      throw fail(`Pause for 1 to ${MAX_PAUSE_CYCLES} cycles`, 400)
+    }
+    const { sub, months } = await load(stripeSubscriptionId)
+    const { nextShipmentAt } = planFields(sub)
+    if (!nextShipmentAt) throw fail('Plan is paused indefinitely; resume it first', 409)
+    const resumesAt = resumeAfterCycles(nextShipmentAt, months, cycles)
+    const updated = await stripe.subscriptions.update(sub.id, {
+      pause_collection: { behavior: 'void', resumes_at: Math.floor(resumesAt.getTime() / 1000) },
+    })
+    const skipped = cycles === 1 ? 'kit' : `${cycles} kits`
+    return record(updated, kind, actor, `Skipped ${skipped} from ${nextShipmentAt.toISOString().slice(0, 10)}`)
+  }
+
+  async function skipNext(stripeSubscriptionId: string, { actor }: { actor: string }) {
+    return pause(stripeSubscriptionId, 1, { actor, kind: 'skip' })
+  }
+
+  async function resume(stripeSubscriptionId: string, { actor }: { actor: string }) {
+    const sub = await stripe.subscriptions.retrieve(stripeSubscriptionId)
+    if (!sub.pause_collection) throw fail('Plan is not paused', 409)
+    const updated = await stripe.subscriptions.update(sub.id, { pause_collection: '' })
+    return record(updated, 'resume', actor)
+  }
+
+  /**
+   * Switch between monthly and quarterly from the next renewal. The current period
+   * is already paid for, so nothing is prorated.
+   */
+  async function changeInterval(stripeSubscriptionId: string, kind: PlanKind, { actor }: { actor: string }) {
+    const { sub, months } = await load(stripeSubscriptionId)
+    const label = kind === 'month' ? 'monthly' : 'quarterly'
+    if (planKind(months) === kind) {
+      // Switching back before the change took effect: drop the pending phase
+      const pending = idOf(sub.schedule)
+      if (!pending) throw fail(`Plan is already ${label}`, 400)
+      await stripe.subscriptionSchedules.release(pending)
+      return record(await stripe.subscriptions.retrieve(sub.id), 'change_interval', actor, `Staying ${label}`)
+    }
+    const item = sub.items.data[0]
+    const sanityId = item.price.metadata?.sanityId
+    if (!sanityId || !isCurrency(sub.currency)) throw fail('Plan is not linked to a catalog product', 409)
+    const product = await sanity.fetch<Record<string, any> | null>(
+      `*[_type=="product" && _id==$id][0]${PRODUCT_PROJECTION}`,
+      { id: sanityId }
+    )
+    const newPriceId: string | undefined = product?.[priceField(kind, sub.currency)]
+    if (!newPriceId) throw fail(`No ${label} price for this test`, 409)
+
+    const scheduleId =
+      idOf(sub.schedule) ?? (await stripe.subscriptionSchedules.create({ from_subscription: sub.id })).id
+    const schedule = await stripe.subscriptionSchedules.retrieve(scheduleId)
+    const now = Date.now() / 1000
+    const current = schedule.phases.find((p) => p.start_date <= now && p.end_date > now) ?? schedule.phases[0]
+    await stripe.subscriptionSchedules.update(scheduleId, {
+      end_behavior: 'release',
+      phases: [
+        {
+          items: current.items.map((i) => ({ price: idOf(i.price)!, quantity: i.quantity })),
+          start_date: current.start_date,
+          end_date: current.end_date,
+          proration_behavior: 'none',
+        },
+        {
+          items: [{ price: newPriceId, quantity: item.quantity }],
+          iterations: 1,
+          proration_behavior: 'none',
+        },
+      ],
+    })
+    const updated = await stripe.subscriptions.retrieve(sub.id)
+    return record(updated, 'change_interval', actor, `Switching to ${label} from ${new Date(current.end_date * 1000).toISOString().slice(0, 10)}`)
+  }
+
+  return { mirror, skipNext, pause, resume, changeInterval }
+}
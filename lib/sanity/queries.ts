@@ -5,6 +5,7 @@ export const allProductsQuery = groq`*[_type == "product"]|order(title asc){
   title,
   "slug": slug.current,
   priceEUR,
+  priceGBP,
   turnaround,
   sampleType
 }`
@@ -14,6 +15,7 @@ export const productBySlugQuery = groq`*[_type=="product" && slug.current==$slug
   title,
   "slug": slug.current,
   priceEUR,
+  priceGBP,
   turnaround,
   sampleType,
   markers,
@@ -21,5 +23,26 @@ export const productBySlugQuery = groq`*[_type=="product" && slug.current==$slug
   symptoms,
   whatYouGet,
   stripePriceIdOneTime,
-  stripePriceIdSubscription
+  stripePriceIdSubscription,
+  stripePriceIdSubscriptionQuarterly,
+  stripePriceIdOneTimeGBP,
+  stripePriceIdSubscriptionGBP,
+  stripePriceIdSubscriptionQuarterlyGBP,
+  flags
+}`
+
+// Server-side checkout: only the fields needed to resolve Stripe prices
+export const productsForCheckoutQuery = groq`*[_type=="product" && slug.current in $slugs]{
+  _id,
+  title,
+  "slug": slug.current,
+  priceEUR,
+  priceGBP,
+  flags,
+  stripePriceIdOneTime,
+  stripePriceIdSubscription,
+  stripePriceIdSubscriptionQuarterly,
+  stripePriceIdOneTimeGBP,
+  stripePriceIdSubscriptionGBP,
+  stripePriceIdSubscriptionQuarterlyGBP
 }`
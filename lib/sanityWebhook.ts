@@ -0,0 +1,75 @@
+import { createHmac, timingSafeEqual } from 'crypto'
+import { wantedPrices } from '@/lib/provisioning'
+
+// Sanity GROQ webhooks sign `${timestamp}.${body}` with HMAC-SHA256 and send
+// `sanity-webhook-signature: t=<ms>,v1=<base64url digest>`.
+export const SIGNATURE_HEADER = 'sanity-webhook-signature'
+const TOLERANCE_MS = 5 * 60 * 1000
+
+export function signSanityPayload(body: string, secret: string, timestamp = Date.now()) {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('base64url')
+  return `t=${timestamp},v1=${digest}`
+}
+
+/** Valid HMAC for this body, signed within the tolerance window (replay protection) */
+export function verifySanitySignature(body: string, header: string | null, secret: string, now = Date.now()) {
+  if (!header) return false
+  const parts = Object.fromEntries(
+    header.split(',').map((p) => {
+      const i = p.indexOf('=')
+      return [p.slice(0, i).trim(), p.slice(i + 1).trim()]
+    })
+  )
+  const timestamp = Number(parts.t)
+  if (!Number.isFinite(timestamp) || !parts.v1) return false
+  if (Math.abs(now - timestamp) > TOLERANCE_MS) return false
+
+  const expected = Buffer.from(signSanityPayload(body, secret, timestamp).split('v1=')[1])
+  const got = Buffer.from(parts.v1.replace(/=+$/, ''))
+  return expected.length === got.length && timingSafeEqual(expected, got)
+}
+
+/**
+ * Signed with SANITY_WEBHOOK_SECRET. Without the secret every request is refused,
+ * except outside production with SANITY_WEBHOOK_ALLOW_BEARER=true, which accepts the
+ * legacy unsigned `Authorization: Bearer <PROVISION_SECRET>` header (no replay protection).
+ */
+export function authorisedSanityWebhook(req: Request, body: string, env: NodeJS.ProcessEnv = process.env) {
+  const secret = env.SANITY_WEBHOOK_SECRET
+  if (secret) return verifySanitySignature(body, req.headers.get(SIGNATURE_HEADER), secret)
+  const allowBearer = env.SANITY_WEBHOOK_ALLOW_BEARER === 'true' && env.NODE_ENV !== 'production'
+  if (!allowBearer || !env.PROVISION_SECRET) {
+    console.error('Sanity webhook refused: SANITY_WEBHOOK_SECRET is not set')
+    return false
+  }
+  return req.headers.get('authorization') === `Bearer ${env.PROVISION_SECRET}`
+}
+
+// Fields that change what provisioning would do (plus every price-ID field in
+// ALL_PRICE_FIELDS); edits to copy, markers etc. are ignored
+export type PriceRelevant = {
+  priceEUR?: number | null
+  priceGBP?: number | null
+  flags?: { subscription?: boolean } | null
+  stripeProductId?: string | null
+  [priceField: string]: unknown
+}
+
+/**
+ * Compare the webhook's before()/after() projections. New documents, price or
+ * subscription changes and cleared Stripe IDs need provisioning. A price ID
+ * missing from the projection counts as cleared, so an older projection that
+ * leaves fields out provisions on every edit rather than never.
+ */
+export function needsProvisioning(before: PriceRelevant | null | undefined, after: PriceRelevant | null | undefined) {
+  if (!after) return false
+  if (!before) return true
+  if (!after.stripeProductId) return true
+  // Each price provisioning would write, per currency and cadence
+  if (wantedPrices(after).some((w) => !after[w.field])) return true
+  return (
+    (before.priceEUR ?? null) !== (after.priceEUR ?? null) ||
+    (before.priceGBP ?? null) !== (after.priceGBP ?? null) ||
+    Boolean(before.flags?.subscription) !== Boolean(after.flags?.subscription)
+  )
+}
@@ -0,0 +1,22 @@
+import { cookies, headers } from 'next/headers'
+import { currencyForCountry, isCurrency, type Currency } from '@/lib/pricing'
+
+// The shopper's currency: an explicit choice from the currency selector wins,
+// otherwise it follows the visitor's country from the edge geo header.
+export const CURRENCY_COOKIE = 'hg_currency'
+
+export function shopperCurrency(): Currency {
+  const chosen = cookies().get(CURRENCY_COOKIE)?.value
+  if (isCurrency(chosen)) return chosen
+  const h = headers()
+  return currencyForCountry(h.get('x-vercel-ip-country') || h.get('cf-ipcountry'))
+}
+
+export function setShopperCurrency(currency: Currency) {
+  cookies().set(CURRENCY_COOKIE, currency, {
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+    maxAge: 60 * 60 * 24 * 365,
+  })
+}
@@ -0,0 +1,28 @@
+import { headers } from 'next/headers'
+import { redirect } from 'next/navigation'
+
+/**
+ * For server actions: POST a checkout request to /api/checkout/create as the
+ * current shopper and redirect to Stripe. The session cookie is forwarded so a
+ * signed-in shopper checks out as their account's Stripe customer.
+ */
+export async function startCheckout(body: Record<string, unknown>): Promise<never> {
+  const base = process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000'
+  const res = await fetch(`${base}/api/checkout/create`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Cookie: headers().get('cookie') || '' },
+    body: JSON.stringify(body),
+    cache: 'no-store',
+  })
+
+  if (!res.ok) {
+    const msg = await res.text().catch(() => '')
+    throw new Error(`Checkout failed: ${msg || res.status}`)
+  }
+
+  const data = (await res.json()) as { url?: string }
+  if (data?.url) {
+    redirect(data.url)
+  }
+  throw new Error('Checkout failed: no redirect URL returned')
+}
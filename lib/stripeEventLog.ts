@@ -0,0 +1,41 @@
+// StripeEvent log for the webhook route. Stripe delivers at least once and retries
+// anything answered non-2xx, so each event ID is handled until it is processed and
+// skipped after that; every delivery attempt is counted.
+
+import type Stripe from 'stripe'
+import type { PrismaClient } from '@prisma/client'
+
+type Deps = { prisma: Pick<PrismaClient, 'stripeEvent'> }
+
+export function createStripeEventLog({ prisma }: Deps) {
+  /**
+   * Run `handle` unless the event was already processed; returns false for such a
+   * duplicate. A handler error is recorded on the event and rethrown.
+   */
+  async function handleOnce(event: Stripe.Event, handle: (event: Stripe.Event) => Promise<unknown>) {
+    const logged = await prisma.stripeEvent.upsert({
+      where: { id: event.id },
+      create: { id: event.id, type: event.type, status: 'processing', attempts: 1 },
+      update: { attempts: { increment: 1 } },
+    })
+    if (logged.status === 'processed') return false
+
+    try {
+      await handle(event)
+    } catch (err: any) {
+      await prisma.stripeEvent.update({
+        where: { id: event.id },
+        data: { status: 'failed', error: String(err?.message || err).slice(0, 1000) },
+      })
+      throw err
+    }
+
+    await prisma.stripeEvent.update({
+      where: { id: event.id },
+      data: { status: 'processed', error: null, processedAt: new Date() },
+    })
+    return true
+  }
+
+  return { handleOnce }
+}
@@ -0,0 +1,132 @@
+// Stripe → Sanity import for products created outside the CMS (dashboard, Payment
+// Links). Each active Stripe product without metadata.sanityId becomes a draft
+// Sanity product, and the Stripe product and its prices are stamped with the
+// new document's id so the webhook handlers and provisioning treat them as linked.
+// Used by scripts/import-stripe-products.mjs.
+
+import type Stripe from 'stripe'
+import { fromMinorUnits } from './money'
+import { isCurrency, listPriceField, priceField, type PriceKind } from './pricing'
+
+export interface StripeDraft {
+  /** Published Sanity id the Stripe objects are stamped with */
+  id: string
+  slug: string
+  doc: Record<string, unknown> & { _id: string; _type: 'product' }
+  /** Price IDs written onto the document */
+  linked: string[]
+  /** Prices in other currencies/intervals, custom amounts or duplicates of a linked kind */
+  skipped: string[]
+}
+
+export type ImportResult =
+  | ({ ok: true; stripeProductId: string; name: string } & Omit<StripeDraft, 'doc'>)
+  | { ok: false; stripeProductId: string; name: string; error: string }
+
+export interface SanityImportClient {
+  fetch<T = any>(query: string, params?: Record<string, unknown>): Promise<T>
+  createIfNotExists(doc: Record<string, unknown> & { _id: string; _type: string }): Promise<unknown>
+}
+
+// Recurring prices we can represent: monthly and quarterly retests
+function priceKind(price: Stripe.Price): PriceKind | null {
+  if (price.type === 'one_time') return 'oneTime'
+  const r = price.recurring
+  if (r?.interval !== 'month') return null
+  if (r.interval_count === 1) return 'month'
+  if (r.interval_count === 3) return 'quarter'
+  return null
+}
+
+export function slugify(name: string) {
+  return (
+    String(name)
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 80) || 'product'
+  )
+}
+
+/**
+ * Sanity fields for a Stripe product and its active prices. Deterministic document
+ * id (stripe-<productId>) makes a re-run after a partial failure safe.
+ */
+export function draftFromStripe(product: Stripe.Product, prices: Stripe.Price[], takenSlugs = new Set<string>()): StripeDraft {
+  const id = `stripe-${product.id}`
+  let slug = slugify(product.name)
+  for (let n = 2; takenSlugs.has(slug); n++) slug = `${slugify(product.name)}-${n}`
+
+  const doc: StripeDraft['doc'] = {
+    _id: `drafts.${id}`,
+    _type: 'product',
+    title: product.name,
+    slug: { _type: 'slug', current: slug },
+    stripeProductId: product.id,
+  }
+  const linked: string[] = []
+  const skipped: string[] = []
+  for (const price of prices) {
+    const kind = priceKind(price)
+    const currency = isCurrency(price.currency) ? price.currency : null
+    const field = kind && currency ? priceField(kind, currency) : null
+    if (!field || !currency || price.unit_amount == null || doc[field]) {
+      skipped.push(price.id)
+      continue
+    }
+    doc[field] = price.id
+    linked.push(price.id)
+    if (kind !== 'oneTime') doc.flags = { subscription: true }
+    // List price from the one-time price, or a recurring one if that's all there is
+    const listField = listPriceField(currency)
+    if (kind === 'oneTime' || doc[listField] == null) {
+      doc[listField] = fromMinorUnits(price.unit_amount, currency)
+    }
+  }
+  return { id, slug, doc, linked, skipped }
+}
+
+/** sanity needs a write token */
+export function createStripeImporter({ stripe, sanity }: { stripe: Stripe; sanity: SanityImportClient }) {
+  async function importProducts({
+    dryRun = false,
+    onProgress,
+  }: { dryRun?: boolean; onProgress?: (r: ImportResult) => void } = {}): Promise<ImportResult[]> {
+    const products = (await stripe.products.list({ active: true, limit: 100 }).autoPagingToArray({ limit: 10000 }))
+      .filter((p) => !p.metadata?.sanityId)
+    const docs = await sanity.fetch<{ _id: string; slug?: string }[]>(`*[_type=="product"]{_id, "slug": slug.current}`)
+    const takenSlugs = new Set(docs.map((d) => d.slug).filter((slug): slug is string => Boolean(slug)))
+    // Left over from an earlier run that created the draft but failed before stamping Stripe
+    const earlier = new Map(docs.map((d) => [d._id.replace(/^drafts\./, ''), d.slug]))
+    const results: ImportResult[] = []
+
+    for (const product of products) {
+      try {
+        const prices = await stripe.prices
+          .list({ product: product.id, active: true, limit: 100 })
+          .autoPagingToArray({ limit: 1000 })
+        const draft = draftFromStripe(product, prices, takenSlugs)
+        if (earlier.has(draft.id)) draft.slug = earlier.get(draft.id) || draft.slug
+        takenSlugs.add(draft.slug)
+
+        if (!dryRun) {
+          // Draft only: an editor reviews category, turnaround etc. and publishes it
+          await sanity.createIfNotExists(draft.doc)
+          const metadata = { sanityId: draft.id, slug: draft.slug }
+          await stripe.products.update(product.id, { metadata })
+          for (const priceId of draft.linked) await stripe.prices.update(priceId, { metadata })
+        }
+        const { doc, ...summary } = draft
+        results.push({ ok: true, stripeProductId: product.id, name: product.name, ...summary })
+      } catch (err: any) {
+        results.push({ ok: false, stripeProductId: product.id, name: product.name, error: err?.message || String(err) })
+      }
+      onProgress?.(results[results.length - 1])
+    }
+    return results
+  }
+
+  return { importProducts }
+}
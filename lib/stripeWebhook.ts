@@ -0,0 +1,484 @@
+// Stripe webhook event handling: catalogue sync back to Sanity, the subscription
+// mirror, orders (checkout, renewals), refunds and disputes. The route in
+// app/api/stripe/webhook verifies each delivery and logs it (lib/stripeEventLog.ts),
+// then hands it here.
+
+import type Stripe from 'stripe'
+import type { PrismaClient } from '@prisma/client'
+import { addressesFromInvoice, addressesFromSession } from './address'
+import { decodeProductRefs, resolveProductRef } from './checkoutMetadata'
+import { canTransition, type OrderStatus, type TransitionOptions } from './orderStatus'
+import { ALL_PRICE_FIELDS, isCurrency, priceField } from './pricing'
+import type { createPromotionSync } from './promotions'
+import type { createRetestPlans } from './retestPlans'
+
+export interface SanityPatch {
+  set(attrs: Record<string, unknown>): SanityPatch
+  unset(keys: string[]): SanityPatch
+  commit(): Promise<unknown>
+}
+
+export interface SanitySyncClient {
+  fetch<T = any>(query: string, params?: Record<string, unknown>): Promise<T>
+  patch(id: string): SanityPatch
+}
+
+type Deps = {
+  stripe: Stripe
+  /** Needs SANITY_WRITE_TOKEN set for the catalogue sync; without it those events are skipped */
+  sanity: SanitySyncClient
+  prisma: Pick<PrismaClient, 'order' | 'refund' | 'abandonedCheckout'>
+  transitionOrder: (orderId: string, to: OrderStatus, opts: TransitionOptions) => Promise<unknown>
+  mirrorSubscription: ReturnType<typeof createRetestPlans>['mirror']
+  /** Account a completed checkout belongs to (see lib/customers.ts) */
+  userIdFor: (email: string | null | undefined, metadataUserId?: string | null) => Promise<string | undefined>
+  recordPromotionRedemptions: ReturnType<typeof createPromotionSync>['recordRedemptions']
+}
+
+const toDate = (ts?: number | null) => (ts ? new Date(ts * 1000) : null)
+const idOf = (x: string | { id?: string } | null | undefined) => (typeof x === 'string' ? x : x?.id)
+const uniqueIds = (ids: (string | undefined)[]) => Array.from(new Set(ids.filter((id): id is string => Boolean(id))))
+
+function invoiceSubscriptionId(invoice: Stripe.Invoice) {
+  return idOf(invoice.parent?.subscription_details?.subscription)
+}
+
+function invoicePaymentIntentId(invoice: Stripe.Invoice) {
+  const payment = invoice.payments?.data.find(p => p.status === 'paid')?.payment
+  return idOf(payment?.payment_intent)
+}
+
+/** Lines charging a whole subscription period, as opposed to proration adjustments */
+function periodLines(invoice: Stripe.Invoice) {
+  return invoice.lines.data.filter((line) => {
+    const item = line.parent?.subscription_item_details
+    return item ? !item.proration : false
+  })
+}
+
+/**
+ * Whether a paid subscription invoice starts a period that ships a kit: every
+ * renewal, and an interval switch (Billing Portal, or a schedule phase moving to
+ * the other price), which Stripe bills at once as subscription_update with a
+ * full-period line. Updates billing only prorations don't start a period.
+ */
+function startsKitPeriod(invoice: Stripe.Invoice) {
+  if (invoice.billing_reason === 'subscription_cycle') return true
+  return invoice.billing_reason === 'subscription_update' && periodLines(invoice).length > 0
+}
+
+type SanityStripeRefs = { _id: string; stripeProductId?: string } & Record<string, string | undefined>
+
+const STRIPE_REFS = `{_id, stripeProductId, ${ALL_PRICE_FIELDS.join(', ')}}`
+
+const priceFieldsOn = (doc: SanityStripeRefs, priceId: string) => ALL_PRICE_FIELDS.filter((f) => doc[f] === priceId)
+const stamp = (event: Stripe.Event) => toDate(event.created)!.toISOString().slice(0, 10)
+
+export function createStripeWebhookHandler({
+  stripe,
+  sanity,
+  prisma,
+  transitionOrder,
+  mirrorSubscription,
+  userIdFor,
+  recordPromotionRedemptions,
+}: Deps) {
+  /** Stripe-driven status change; transitions the lifecycle does not allow are left alone */
+  async function transitionFromStripe(order: { id: string; status: string }, to: OrderStatus, event: Stripe.Event, note?: string) {
+    if (order.status === to || !canTransition(order.status, to)) return
+    await transitionOrder(order.id, to, { actor: `stripe:${event.id}`, note })
+  }
+
+  /** PaymentIntent that paid an invoice; webhook payloads leave invoice.payments out */
+  async function paidPaymentIntentId(invoiceId: string) {
+    return invoicePaymentIntentId(await stripe.invoices.retrieve(invoiceId, { expand: ['payments'] }))
+  }
+
+  /**
+   * Order a charge or dispute belongs to. Subscription orders saved before their invoice
+   * was paid (delayed methods) have no PaymentIntent yet; those are found through the
+   * invoice the PaymentIntent paid and get it stored for next time.
+   */
+  async function orderForPayment(paymentIntentId: string | undefined) {
+    if (!paymentIntentId) return null
+    const order = await prisma.order.findUnique({ where: { stripePaymentIntentId: paymentIntentId } })
+    if (order) return order
+    const payments = await stripe.invoicePayments.list({
+      payment: { type: 'payment_intent', payment_intent: paymentIntentId },
+      limit: 1
+    })
+    const invoiceId = idOf(payments.data[0]?.invoice)
+    const byInvoice = invoiceId ? await prisma.order.findUnique({ where: { stripeInvoiceId: invoiceId } }) : null
+    if (!byInvoice) return null
+    return prisma.order.update({ where: { id: byInvoice.id }, data: { stripePaymentIntentId: paymentIntentId } })
+  }
+
+  /** Mirror every refund on a charge, including ones issued from the Stripe dashboard */
+  async function syncRefunds(orderId: string, chargeId: string) {
+    const refunds = await stripe.refunds.list({ charge: chargeId, limit: 100 })
+    for (const r of refunds.data) {
+      await prisma.refund.upsert({
+        where: { stripeRefundId: r.id },
+        create: {
+          orderId,
+          stripeRefundId: r.id,
+          amount: r.amount,
+          currency: r.currency,
+          status: r.status,
+          reason: r.reason,
+          createdBy: r.metadata?.refundedBy || 'stripe'
+        },
+        update: { status: r.status }
+      })
+    }
+  }
+
+  /** Published product documents pointing at a Stripe product or price (deleted documents don't match) */
+  function productDocsReferencing(stripeId: string) {
+    return sanity.fetch<SanityStripeRefs[]>(
+      `*[_type=="product" && !(_id in path("drafts.**")) && (stripeProductId==$stripeId || $stripeId in [${ALL_PRICE_FIELDS.join(', ')}])]${STRIPE_REFS}`,
+      { stripeId }
+    )
+  }
+
+  /**
+   * Stripe-side archival and deletion. Sanity stays the source of truth, so we only
+   * flag the document (stripeSyncIssue) or clear IDs that can never work again;
+   * re-provisioning fixes both. Our own archival of replaced prices is a no-op here
+   * because Sanity already points at the replacement.
+   */
+  async function syncStripeRemovalToSanity(event: Stripe.Event) {
+    if (!process.env.SANITY_WRITE_TOKEN) return
+    const obj = event.data.object as Stripe.Product | Stripe.Price
+    const docs = await productDocsReferencing(obj.id)
+
+    for (const doc of docs) {
+      if (obj.object === 'product') {
+        if (doc.stripeProductId !== obj.id) continue
+        if (event.type === 'product.deleted') {
+          // Stripe only deletes products without prices, so the price IDs are dead too
+          await sanity
+            .patch(doc._id)
+            .unset(['stripeProductId', ...ALL_PRICE_FIELDS])
+            .set({ stripeSyncIssue: `Stripe product ${obj.id} deleted in Stripe on ${stamp(event)}` })
+            .commit()
+        } else {
+          await sanity.patch(doc._id).set({ stripeSyncIssue: `Stripe product ${obj.id} archived in Stripe on ${stamp(event)}` }).commit()
+        }
+        continue
+      }
+
+      const fields = priceFieldsOn(doc, obj.id)
+      if (!fields.length) continue
+      if (event.type === 'price.deleted') {
+        await sanity
+          .patch(doc._id)
+          .unset(fields)
+          .set({ stripeSyncIssue: `Stripe price ${obj.id} (${fields.join(', ')}) deleted in Stripe on ${stamp(event)}` })
+          .commit()
+      } else {
+        await sanity
+          .patch(doc._id)
+          .set({ stripeSyncIssue: `Stripe price ${obj.id} (${fields.join(', ')}) archived in Stripe on ${stamp(event)}` })
+          .commit()
+      }
+    }
+  }
+
+  /** Published product document by Sanity id, or null if it was deleted or unpublished */
+  function publishedProduct(sanityId: string) {
+    return sanity.fetch<SanityStripeRefs | null>(`*[_type=="product" && _id==$sanityId][0]${STRIPE_REFS}`, { sanityId })
+  }
+
+  async function handleEvent(event: Stripe.Event) {
+    switch (event.type) {
+      case 'product.created':
+      case 'product.updated': {
+        const product = event.data.object as Stripe.Product
+        if (!product.active) {
+          await syncStripeRemovalToSanity(event)
+          break
+        }
+        const sanityId = product.metadata?.sanityId
+        if (sanityId && process.env.SANITY_WRITE_TOKEN) {
+          const doc = await publishedProduct(sanityId)
+          // Don't repoint a product that already has a different Stripe product (see /admin/catalog for duplicates)
+          if (doc && (!doc.stripeProductId || doc.stripeProductId === product.id)) {
+            await sanity.patch(doc._id).set({ stripeProductId: product.id }).commit()
+          }
+        }
+        break
+      }
+      case 'product.deleted':
+      case 'price.deleted':
+        await syncStripeRemovalToSanity(event)
+        break
+      case 'price.created':
+      case 'price.updated': {
+        const price = event.data.object as Stripe.Price
+        if (!price.active) {
+          await syncStripeRemovalToSanity(event)
+          break
+        }
+        // Only one-time prices in a catalogue currency map onto a product field
+        if (price.type === 'one_time' && isCurrency(price.currency)) {
+          // Try to find sanityId either on price or its product metadata
+          let sanityId = (price.metadata && (price.metadata as any).sanityId) as string | undefined
+          if (!sanityId && typeof price.product === 'string') {
+            const sp = await stripe.products.retrieve(price.product)
+            sanityId = sp?.metadata?.sanityId
+          }
+          const doc = sanityId && process.env.SANITY_WRITE_TOKEN ? await publishedProduct(sanityId) : null
+          if (doc) {
+            await sanity.patch(doc._id).set({ [priceField('oneTime', price.currency)]: price.id }).commit()
+          }
+        }
+        break
+      }
+      case 'customer.subscription.created':
+      case 'customer.subscription.updated':
+      case 'customer.subscription.deleted':
+      case 'customer.subscription.paused':
+      case 'customer.subscription.resumed': {
+        const sub = event.data.object as Stripe.Subscription
+        await mirrorSubscription(sub)
+        break
+      }
+      case 'subscription_schedule.updated':
+      case 'subscription_schedule.released':
+      case 'subscription_schedule.canceled':
+      case 'subscription_schedule.completed': {
+        // Interval changes from the account area; keeps the scheduled change on our row current
+        const schedule = event.data.object as Stripe.SubscriptionSchedule
+        const subscriptionId = idOf(schedule.subscription) || schedule.released_subscription
+        if (subscriptionId) await mirrorSubscription(await stripe.subscriptions.retrieve(subscriptionId))
+        break
+      }
+      case 'invoice.paid':
+      case 'invoice.payment_failed': {
+        const invoice = event.data.object as Stripe.Invoice
+        const subscriptionId = invoiceSubscriptionId(invoice)
+        if (!subscriptionId) break
+
+        // Re-read the subscription so status/period reflect this invoice
+        const sub = await mirrorSubscription(
+          await stripe.subscriptions.retrieve(subscriptionId),
+          invoice.customer_email
+        )
+
+        if (event.type !== 'invoice.paid' || !invoice.id) break
+        const paymentIntentId = await paidPaymentIntentId(invoice.id)
+
+        // The first invoice is covered by checkout.session.completed; each new period ships another kit
+        if (startsKitPeriod(invoice)) {
+          // Product refs were copied onto the subscription at checkout (subscription_data.metadata)
+          const refs = decodeProductRefs(invoice.parent?.subscription_details?.metadata)
+          const onlyRef = refs.size === 1 ? Array.from(refs.values())[0] : undefined
+          const lines = periodLines(invoice)
+          const items = (lines.length ? lines : invoice.lines.data).map(line => {
+            const priceId = line.pricing?.price_details?.price
+            const ref = (priceId && refs.get(priceId)) || onlyRef
+            const quantity = line.quantity || 1
+            return {
+              name: line.description || 'Subscription renewal',
+              sanityProductId: ref?.sanityId,
+              slug: ref?.slug,
+              stripePriceId: priceId,
+              unitAmount: Math.round(line.amount / quantity),
+              currency: line.currency,
+              quantity,
+              amountTax: (line.taxes || []).reduce((sum, t) => sum + t.amount, 0)
+            }
+          })
+          const order = await prisma.order.upsert({
+            where: { stripeInvoiceId: invoice.id },
+            create: {
+              email: invoice.customer_email || sub.email || 'unknown@example.com',
+              stripeCustomerId: sub.stripeCustomerId,
+              stripeInvoiceId: invoice.id,
+              stripePaymentIntentId: paymentIntentId,
+              amountTotal: invoice.amount_paid,
+              currency: invoice.currency,
+              ...addressesFromInvoice(invoice),
+              subscriptionId: sub.id,
+              userId: sub.userId,
+              sanityProductIds: uniqueIds(items.map(i => i.sanityProductId)),
+              items: { create: items },
+              mode: 'subscription',
+              events: { create: { toStatus: 'paid', actor: `stripe:${event.id}` } }
+            },
+            update: {}
+          })
+          console.log('✅ Renewal order saved:', order.id, 'for invoice:', invoice.id)
+        } else if (paymentIntentId) {
+          // The checkout order for the first invoice; a delayed payment only has its PaymentIntent once paid
+          await prisma.order.updateMany({
+            where: { stripeInvoiceId: invoice.id, stripePaymentIntentId: null },
+            data: { stripePaymentIntentId: paymentIntentId }
+          })
+        }
+        break
+      }
+      case 'checkout.session.completed': {
+        const session = event.data.object as Stripe.Checkout.Session
+
+        // Get full session details with line items
+        const sessionWithItems = await stripe.checkout.sessions.retrieve(session.id, {
+          expand: ['line_items', 'line_items.data.price.product']
+        })
+      
+        const lineItems = sessionWithItems.line_items?.data || []
+        const refs = decodeProductRefs(session.metadata)
+        const items = lineItems.map(item => {
+          const ref = resolveProductRef(refs, item.price)
+          return {
+            name: typeof item.price?.product === 'object' && 'name' in item.price.product 
+              ? item.price.product.name || item.description || 'Unknown Product'
+              : item.description || 'Unknown Product',
+            sanityProductId: ref.sanityId,
+            slug: ref.slug,
+            stripePriceId: item.price?.id,
+            unitAmount: item.price?.unit_amount ?? 0,
+            currency: item.currency,
+            quantity: item.quantity || 1,
+            amountTax: item.amount_tax
+          }
+        })
+
+        const email = session.customer_details?.email || session.customer_email || 'unknown@example.com'
+        const subscription = typeof session.subscription === 'string'
+          ? await mirrorSubscription(await stripe.subscriptions.retrieve(session.subscription), email)
+          : null
+
+        const userId = subscription?.userId ?? (await userIdFor(email, session.metadata?.userId))
+
+        // Subscription checkouts pay through their first invoice rather than session.payment_intent
+        const invoiceId = idOf(session.invoice)
+        const paymentIntentId = idOf(session.payment_intent) ?? (invoiceId ? await paidPaymentIntentId(invoiceId) : undefined)
+
+        // Delayed methods (SEPA debit) complete the session before the money arrives;
+        // checkout.session.async_payment_succeeded / _failed settle the order later
+        const status: OrderStatus = session.payment_status === 'unpaid' ? 'pending_payment' : 'paid'
+
+        // Save order to database (keyed by session so a replayed event cannot duplicate it)
+        const order = await prisma.order.upsert({
+          where: { stripeSessionId: session.id },
+          create: {
+            email,
+            userId,
+            stripeSessionId: session.id,
+            orderRef: session.client_reference_id || session.metadata?.orderRef,
+            sanityProductIds: uniqueIds(items.map(i => i.sanityProductId)),
+            stripeCustomerId: idOf(session.customer),
+            stripeInvoiceId: invoiceId,
+            stripePaymentIntentId: paymentIntentId,
+            amountTotal: session.amount_total,
+            currency: session.currency,
+            ...addressesFromSession(session),
+            items: { create: items },
+            mode: session.mode || 'payment',
+            subscriptionId: subscription?.id,
+            status,
+            events: { create: { toStatus: status, actor: `stripe:${event.id}` } }
+          },
+          update: {}
+        })
+
+        console.log('✅ Order saved to database:', order.id, `(${order.status})`, 'for session:', session.id)
+
+        const promotionCodeIds = uniqueIds((session.discounts || []).map(d => idOf(d.promotion_code)))
+        if (promotionCodeIds.length) {
+          // Counts are re-read from Stripe on the next redemption, so don't fail the event over them
+          try {
+            const recorded = await recordPromotionRedemptions(promotionCodeIds)
+            for (const r of recorded) console.log('🏷️ Promotion', r.code, 'redeemed', r.timesRedeemed, 'time(s)')
+          } catch (err) {
+            console.error('Failed to record promotion redemptions for session', session.id, err)
+          }
+        }
+
+        break
+      }
+      case 'checkout.session.async_payment_succeeded':
+      case 'checkout.session.async_payment_failed': {
+        const session = event.data.object as Stripe.Checkout.Session
+        const order = await prisma.order.findUnique({ where: { stripeSessionId: session.id } })
+        // Deliveries aren't ordered; fail so Stripe retries once checkout.session.completed has landed
+        if (!order) throw new Error(`No order yet for checkout session ${session.id}`)
+        if (event.type === 'checkout.session.async_payment_succeeded') {
+          await transitionFromStripe(order, 'paid', event, 'Delayed payment succeeded')
+        } else {
+          await transitionFromStripe(order, 'cancelled', event, 'Delayed payment failed')
+        }
+        break
+      }
+      case 'checkout.session.expired': {
+        // Nothing was paid: an order still awaiting payment is cancelled, otherwise
+        // the abandoned checkout is kept with its orderRef
+        const session = event.data.object as Stripe.Checkout.Session
+        const order = await prisma.order.findUnique({ where: { stripeSessionId: session.id } })
+        if (order) {
+          if (order.status === 'pending_payment') {
+            await transitionFromStripe(order, 'cancelled', event, 'Checkout session expired')
+          }
+          break
+        }
+        await prisma.abandonedCheckout.upsert({
+          where: { id: session.id },
+          create: {
+            id: session.id,
+            orderRef: session.client_reference_id || session.metadata?.orderRef,
+            email: session.customer_details?.email || session.customer_email,
+            userId: session.metadata?.userId,
+            amountTotal: session.amount_total,
+            currency: session.currency,
+            expiredAt: toDate(event.created)!
+          },
+          update: {}
+        })
+        console.log('🛒 Checkout abandoned:', session.id, 'orderRef:', session.client_reference_id)
+        break
+      }
+      case 'charge.refunded': {
+        const charge = event.data.object as Stripe.Charge
+        const order = await orderForPayment(idOf(charge.payment_intent))
+        if (!order) {
+          console.warn('⚠️ Refund for unknown order, charge:', charge.id)
+          break
+        }
+
+        await prisma.order.update({ where: { id: order.id }, data: { amountRefunded: charge.amount_refunded } })
+        await syncRefunds(order.id, charge.id)
+        if (charge.refunded) await transitionFromStripe(order, 'refunded', event, 'Charge fully refunded')
+        break
+      }
+      case 'charge.dispute.created':
+      case 'charge.dispute.updated':
+      case 'charge.dispute.closed': {
+        const dispute = event.data.object as Stripe.Dispute
+        const order = await orderForPayment(idOf(dispute.payment_intent))
+        if (!order) {
+          console.warn('⚠️ Dispute for unknown order:', dispute.id)
+          break
+        }
+
+        await prisma.order.update({
+          where: { id: order.id },
+          data: {
+            stripeDisputeId: dispute.id,
+            disputeStatus: dispute.status,
+            disputeReason: dispute.reason,
+            disputeEvidenceDueBy: toDate(dispute.evidence_details?.due_by)
+          }
+        })
+        if (dispute.status === 'lost') await transitionFromStripe(order, 'refunded', event, 'Dispute lost')
+        break
+      }
+      default:
+        // ignore others for now
+        break
+    }
+  }
+
+  return handleEvent
+}
@@ -0,0 +1,24 @@
+import { stripe, sanityWriteClient as sanity } from '@/lib/clients'
+import { prisma } from '@/lib/prisma'
+import { userIdForCheckout } from '@/lib/customerAccounts'
+import { createRetestPlans } from '@/lib/retestPlans'
+
+export { MAX_PAUSE_CYCLES, type PlanKind } from '@/lib/retestPlans'
+
+// App-side retest plan changes: lib/retestPlans.ts wired to the app's clients
+const plans = createRetestPlans({ stripe, sanity, prisma, userIdFor: userIdForCheckout })
+
+/** Upsert our Subscription row (and its shipment planning) from a Stripe subscription */
+export const mirrorSubscription = plans.mirror
+
+/** Void the next renewal so no kit ships for it; throws with .status */
+export const skipNextKit = plans.skipNext
+
+/** Void the next N renewals */
+export const pausePlan = plans.pause
+
+/** Clear a pause early */
+export const resumePlan = plans.resume
+
+/** Switch monthly ↔ quarterly from the next renewal */
+export const changePlanInterval = plans.changeInterval
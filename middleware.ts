@@ -0,0 +1,67 @@
+import { NextRequest, NextResponse } from 'next/server'
+
+// HTTP Basic auth for /admin. ADMIN_USERS="alice:secret,bob:other".
+// The authenticated name is forwarded as x-admin-user so server actions can
+// record who did what (see lib/adminAuth.ts). Without ADMIN_USERS the admin
+// area is closed, unless ADMIN_OPEN_IN_DEV=true outside production.
+
+export const config = { matcher: ['/admin/:path*'] }
+
+function parseUsers(raw: string | undefined) {
+  const users = new Map<string, string>()
+  for (const entry of (raw || '').split(',')) {
+    const i = entry.indexOf(':')
+    if (i > 0) users.set(entry.slice(0, i).trim(), entry.slice(i + 1).trim())
+  }
+  return users
+}
+
+/**
+ * Constant-time string equality for the Edge runtime (no node:crypto timingSafeEqual):
+ * hash both sides to fixed-length digests and compare every byte without exiting early.
+ */
+async function safeEqual(a: string, b: string) {
+  const digest = async (value: string) =>
+    new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value)))
+  const [x, y] = await Promise.all([digest(a), digest(b)])
+  let diff = 0
+  for (let i = 0; i < x.length; i++) diff |= x[i] ^ y[i]
+  return diff === 0
+}
+
+/** `name:password` from a Basic header, or null if it isn't valid base64 */
+function basicCredentials(header: string) {
+  try {
+    return atob(header.slice(6))
+  } catch {
+    return null
+  }
+}
+
+function withAdmin(req: NextRequest, name: string) {
+  const headers = new Headers(req.headers)
+  headers.set('x-admin-user', name)
+  return NextResponse.next({ request: { headers } })
+}
+
+export async function middleware(req: NextRequest) {
+  const users = parseUsers(process.env.ADMIN_USERS)
+  const openInDev = process.env.ADMIN_OPEN_IN_DEV === 'true' && process.env.NODE_ENV !== 'production'
+  if (!users.size && openInDev) return withAdmin(req, 'dev')
+
+  const auth = req.headers.get('authorization') || ''
+  const decoded = auth.startsWith('Basic ') ? basicCredentials(auth) : null
+  if (decoded !== null) {
+    const i = decoded.indexOf(':')
+    const name = decoded.slice(0, i)
+    const expected = users.get(name)
+    // Compare even for unknown names so response time doesn't reveal which names exist
+    const matches = await safeEqual(decoded.slice(i + 1), expected ?? '')
+    if (i > 0 && expected !== undefined && matches) return withAdmin(req, name)
+  }
+
+  return new NextResponse('Authentication required', {
+    status: 401,
+    headers: { 'WWW-Authenticate': 'Basic realm="HormoneGroup admin"' },
+  })
+}
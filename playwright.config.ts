@@ -0,0 +1,15 @@
+import { defineConfig, devices } from '@playwright/test'
+
+// `npm test` runs the unit project: the lib/ engines against the fakes in
+// tests/unit/helpers. `npm run test:e2e` drives a running site (npm run dev) in Chromium.
+export default defineConfig({
+  projects: [
+    { name: 'unit', testDir: 'tests/unit' },
+    {
+      name: 'chromium',
+      testDir: 'tests',
+      testIgnore: 'unit/**',
+      use: { ...devices['Desktop Chrome'] },
+    },
+  ],
+})
@@ -0,0 +1,51 @@
+-- CreateTable
+CREATE TABLE "public"."ArchivedOrder" (
+    "id" TEXT NOT NULL,
+    "stripeSessionId" TEXT,
+    "data" JSONB NOT NULL,
+    "reason" TEXT NOT NULL,
+    "archivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ArchivedOrder_pkey" PRIMARY KEY ("id")
+);
+
+-- Replayed checkout.session.completed events left duplicate orders that the unique index
+-- below would reject. Keep the first order per session and move the others, whole row
+-- as JSON, to ArchivedOrder so they can be inspected or restored.
+WITH ranked AS (
+  SELECT "id",
+         first_value("id") OVER w AS "keptId",
+         row_number() OVER w AS n
+  FROM "public"."Order"
+  WHERE "stripeSessionId" IS NOT NULL
+  WINDOW w AS (PARTITION BY "stripeSessionId" ORDER BY "createdAt", "id")
+)
+INSERT INTO "public"."ArchivedOrder" ("id", "stripeSessionId", "data", "reason")
+SELECT o."id", o."stripeSessionId", to_jsonb(o), 'Duplicate of order ' || r."keptId" || ' (same stripeSessionId)'
+FROM ranked r
+JOIN "public"."Order" o ON o."id" = r."id"
+WHERE r.n > 1;
+
+DELETE FROM "public"."Order" o
+USING "public"."ArchivedOrder" a
+WHERE a."id" = o."id";
+
+-- CreateTable
+CREATE TABLE "public"."StripeEvent" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "error" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "processedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StripeEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StripeEvent_status_idx" ON "public"."StripeEvent"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Order_stripeSessionId_key" ON "public"."Order"("stripeSessionId");
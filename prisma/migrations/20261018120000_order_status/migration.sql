@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "public"."Order" ADD COLUMN     "status" TEXT NOT NULL DEFAULT 'paid';
+
+-- CreateTable
+CREATE TABLE "public"."OrderEvent" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "fromStatus" TEXT,
+    "toStatus" TEXT NOT NULL,
+    "actor" TEXT NOT NULL,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Order_status_idx" ON "public"."Order"("status");
+
+-- CreateIndex
+CREATE INDEX "OrderEvent_orderId_createdAt_idx" ON "public"."OrderEvent"("orderId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."OrderEvent" ADD CONSTRAINT "OrderEvent_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: existing orders start their history as paid at creation time
+INSERT INTO "public"."OrderEvent" ("id", "orderId", "fromStatus", "toStatus", "actor", "createdAt")
+SELECT 'backfill_' || "id", "id", NULL, 'paid', 'migration', "createdAt" FROM "public"."Order";
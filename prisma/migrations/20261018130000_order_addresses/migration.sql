@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."Order" ADD COLUMN     "billing" JSONB,
+ADD COLUMN     "phone" TEXT;
@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE "public"."Order" ADD COLUMN     "amountRefunded" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "amountTotal" INTEGER,
+ADD COLUMN     "currency" TEXT,
+ADD COLUMN     "disputeEvidenceDueBy" TIMESTAMP(3),
+ADD COLUMN     "disputeReason" TEXT,
+ADD COLUMN     "disputeStatus" TEXT,
+ADD COLUMN     "stripeDisputeId" TEXT,
+ADD COLUMN     "stripePaymentIntentId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."Refund" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "stripeRefundId" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL,
+    "status" TEXT,
+    "reason" TEXT,
+    "createdBy" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Refund_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Order_stripePaymentIntentId_key" ON "public"."Order"("stripePaymentIntentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Refund_stripeRefundId_key" ON "public"."Refund"("stripeRefundId");
+
+-- CreateIndex
+CREATE INDEX "Refund_orderId_idx" ON "public"."Refund"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Refund" ADD CONSTRAINT "Refund_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."Order" ADD COLUMN     "orderRef" TEXT,
+ADD COLUMN     "sanityProductIds" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Order_orderRef_key" ON "public"."Order"("orderRef");
@@ -0,0 +1,51 @@
+-- CreateTable
+CREATE TABLE "public"."OrderItem" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "sanityProductId" TEXT,
+    "slug" TEXT,
+    "name" TEXT NOT NULL,
+    "stripePriceId" TEXT,
+    "unitAmount" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "amountTax" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OrderItem_orderId_idx" ON "public"."OrderItem"("orderId");
+
+-- CreateIndex
+CREATE INDEX "OrderItem_sanityProductId_idx" ON "public"."OrderItem"("sanityProductId");
+
+-- CreateIndex
+CREATE INDEX "OrderItem_stripePriceId_idx" ON "public"."OrderItem"("stripePriceId");
+
+-- AddForeignKey
+ALTER TABLE "public"."OrderItem" ADD CONSTRAINT "OrderItem_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill from the legacy JSON items. Webhook rows look like
+-- { name, price (euros), quantity, priceId, sanityId?, slug? }; older rows may use description.
+INSERT INTO "public"."OrderItem" ("id", "orderId", "sanityProductId", "slug", "name", "stripePriceId", "unitAmount", "currency", "quantity", "createdAt")
+SELECT
+    'backfill_' || o."id" || '_' || e.idx,
+    o."id",
+    e.item->>'sanityId',
+    e.item->>'slug',
+    COALESCE(e.item->>'name', e.item->>'description', 'Unknown Product'),
+    e.item->>'priceId',
+    COALESCE(ROUND((e.item->>'price')::numeric * 100)::INTEGER, 0),
+    COALESCE(o."currency", 'eur'),
+    COALESCE((e.item->>'quantity')::INTEGER, 1),
+    o."createdAt"
+FROM "public"."Order" o
+CROSS JOIN LATERAL jsonb_array_elements(
+    CASE jsonb_typeof(o."items") WHEN 'array' THEN o."items" ELSE jsonb_build_array(o."items") END
+) WITH ORDINALITY AS e(item, idx)
+WHERE jsonb_typeof(e.item) = 'object';
+
+-- AlterTable
+ALTER TABLE "public"."Order" DROP COLUMN "items";
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "public"."PriceChange" (
+    "id" TEXT NOT NULL,
+    "sanityProductId" TEXT NOT NULL,
+    "slug" TEXT,
+    "stripeProductId" TEXT NOT NULL,
+    "field" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "oldStripePriceId" TEXT,
+    "oldAmount" INTEGER,
+    "newStripePriceId" TEXT NOT NULL,
+    "newAmount" INTEGER NOT NULL,
+    "changedBy" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PriceChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PriceChange_sanityProductId_createdAt_idx" ON "public"."PriceChange"("sanityProductId", "createdAt");
@@ -0,0 +1,9 @@
+-- CreateTable
+CREATE TABLE "public"."ProvisionLock" (
+    "key" TEXT NOT NULL,
+    "owner" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ProvisionLock_pkey" PRIMARY KEY ("key")
+);
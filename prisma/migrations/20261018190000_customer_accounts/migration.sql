@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN     "stripeCustomerId" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."Order" ADD COLUMN     "userId" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."Subscription" ADD COLUMN     "userId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_stripeCustomerId_key" ON "public"."User"("stripeCustomerId");
+
+-- CreateIndex
+CREATE INDEX "Order_userId_idx" ON "public"."Order"("userId");
+
+-- CreateIndex
+CREATE INDEX "Order_email_idx" ON "public"."Order"("email");
+
+-- CreateIndex
+CREATE INDEX "Subscription_userId_idx" ON "public"."Subscription"("userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Order" ADD CONSTRAINT "Order_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Subscription" ADD CONSTRAINT "Subscription_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "public"."Subscription" ADD COLUMN     "interval" TEXT,
+ADD COLUMN     "intervalCount" INTEGER,
+ADD COLUMN     "nextShipmentAt" TIMESTAMP(3),
+ADD COLUMN     "pausedUntil" TIMESTAMP(3),
+ADD COLUMN     "scheduledChangeAt" TIMESTAMP(3),
+ADD COLUMN     "scheduledPriceId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."SubscriptionEvent" (
+    "id" TEXT NOT NULL,
+    "subscriptionId" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "actor" TEXT NOT NULL,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SubscriptionEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Subscription_nextShipmentAt_idx" ON "public"."Subscription"("nextShipmentAt");
+
+-- CreateIndex
+CREATE INDEX "SubscriptionEvent_subscriptionId_createdAt_idx" ON "public"."SubscriptionEvent"("subscriptionId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."SubscriptionEvent" ADD CONSTRAINT "SubscriptionEvent_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "public"."Subscription"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- CreateTable
+CREATE TABLE "public"."ConversionEvent" (
+    "id" TEXT NOT NULL,
+    "value" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ConversionEvent_pkey" PRIMARY KEY ("id")
+);
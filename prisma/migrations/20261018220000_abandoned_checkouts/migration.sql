@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "public"."AbandonedCheckout" (
+    "id" TEXT NOT NULL,
+    "orderRef" TEXT,
+    "email" TEXT,
+    "userId" TEXT,
+    "amountTotal" INTEGER,
+    "currency" TEXT,
+    "expiredAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AbandonedCheckout_pkey" PRIMARY KEY ("id")
+);
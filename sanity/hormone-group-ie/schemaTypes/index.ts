@@ -1,3 +1,4 @@
 import category from './category'
 import product from './product'
-export const schemaTypes = [category, product]
+import promotion from './promotion'
+export const schemaTypes = [category, product, promotion]
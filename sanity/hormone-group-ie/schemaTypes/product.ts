@@ -8,7 +8,14 @@ export default defineType({
     defineField({name:'title', type:'string', validation:r=>r.required()}),
     defineField({name:'slug', type:'slug', options:{source:'title'}, validation:r=>r.required()}),
     defineField({name:'category', type:'reference', to:[{type:'category'}]}),
-    defineField({name:'priceEUR', title:'Price (€)', type:'number', validation:r=>r.required().min(0)}),
+    defineField({name:'priceEUR', title:'Price (€)', type:'number', validation:r=>r.required().min(0).precision(2)}),
+    defineField({
+      name:'priceGBP',
+      title:'Price (£)',
+      type:'number',
+      description:'UK price. Leave empty to convert from the euro price at the configured FX rate.',
+      validation:r=>r.min(0).precision(2),
+    }),
     defineField({name:'turnaround', type:'string'}),
     defineField({name:'sampleType', type:'string', options:{list:['DBS','Serum','Saliva']}}),
     defineField({name:'fasting', type:'boolean'}),
@@ -18,8 +25,19 @@ export default defineType({
     defineField({name:'symptoms', type:'array', of:[{type:'string'}]}),
     defineField({name:'whatYouGet', type:'array', of:[{type:'string'}]}),
     defineField({ name: 'stripePriceIdOneTime', title: 'Stripe Price ID (one-time)', type: 'string' }),
-    defineField({ name: 'stripePriceIdSubscription', title: 'Stripe Price ID (subscription)', type: 'string' }),
+    defineField({ name: 'stripePriceIdSubscription', title: 'Stripe Price ID (subscription, monthly)', type: 'string' }),
+    defineField({ name: 'stripePriceIdSubscriptionQuarterly', title: 'Stripe Price ID (subscription, quarterly)', type: 'string' }),
+    defineField({ name: 'stripePriceIdOneTimeGBP', title: 'Stripe Price ID (one-time, GBP)', type: 'string' }),
+    defineField({ name: 'stripePriceIdSubscriptionGBP', title: 'Stripe Price ID (subscription, monthly, GBP)', type: 'string' }),
+    defineField({ name: 'stripePriceIdSubscriptionQuarterlyGBP', title: 'Stripe Price ID (subscription, quarterly, GBP)', type: 'string' }),
     defineField({name:'flags', type:'object', fields:[defineField({name:'subscription', type:'boolean'})]}),
     defineField({ name: 'stripeProductId', title: 'Stripe Product ID', type: 'string' }),
+    defineField({
+      name: 'stripeSyncIssue',
+      title: 'Stripe sync issue',
+      type: 'string',
+      readOnly: true,
+      description: 'Set when the Stripe product or a price was archived or deleted in Stripe. Cleared by re-provisioning.',
+    }),
   ],
 })
@@ -0,0 +1,63 @@
+import {defineType, defineField} from 'sanity'
+
+// Synced to a Stripe coupon + promotion code by the promotion webhook and `npm run sync:stripe`.
+// Stripe can't edit either once created, so changing the terms issues a new code (and resets the count).
+export default defineType({
+  name:'promotion',
+  title:'Promotion',
+  type:'document',
+  fields:[
+    defineField({name:'title', type:'string', description:'Shown on the Stripe receipt (max 40 characters)', validation:r=>r.required().max(40)}),
+    defineField({
+      name:'code',
+      type:'string',
+      description:'What shoppers enter at checkout. Letters and digits only, e.g. SPRING20',
+      validation:r=>r.required().regex(/^[A-Za-z0-9]+$/, {name:'letters and digits'}),
+    }),
+    defineField({name:'active', type:'boolean', initialValue:true}),
+    defineField({
+      name:'discountType',
+      title:'Discount',
+      type:'string',
+      options:{list:[{title:'Percentage', value:'percent'}, {title:'Fixed amount', value:'amount'}], layout:'radio'},
+      initialValue:'percent',
+      validation:r=>r.required(),
+    }),
+    defineField({
+      name:'percentOff',
+      title:'Percent off',
+      type:'number',
+      hidden:({document})=>document?.discountType!=='percent',
+      validation:r=>r.min(1).max(100).custom((v,{document})=>document?.discountType!=='percent' || v!=null || 'Required'),
+    }),
+    defineField({
+      name:'amountOffEUR',
+      title:'Amount off (€)',
+      type:'number',
+      hidden:({document})=>document?.discountType!=='amount',
+      validation:r=>r.min(0).precision(2).custom((v,{document})=>document?.discountType!=='amount' || v!=null || 'Required'),
+    }),
+    defineField({
+      name:'amountOffGBP',
+      title:'Amount off (£)',
+      type:'number',
+      description:'Leave empty to convert from the euro amount at the configured FX rate.',
+      hidden:({document})=>document?.discountType!=='amount',
+      validation:r=>r.min(0).precision(2),
+    }),
+    defineField({
+      name:'products',
+      title:'Eligible products',
+      description:'Leave empty to discount the whole order.',
+      type:'array',
+      of:[{type:'reference', to:[{type:'product'}]}],
+    }),
+    defineField({name:'expiresAt', title:'Expires', type:'datetime'}),
+    defineField({name:'maxRedemptions', title:'Max redemptions', type:'number', validation:r=>r.integer().min(1)}),
+    defineField({name:'timesRedeemed', title:'Times redeemed', type:'number', readOnly:true}),
+    defineField({name:'lastRedeemedAt', title:'Last redeemed', type:'datetime', readOnly:true}),
+    defineField({name:'stripeCouponId', title:'Stripe Coupon ID', type:'string', readOnly:true}),
+    defineField({name:'stripePromotionCodeId', title:'Stripe Promotion Code ID', type:'string', readOnly:true}),
+  ],
+  preview:{select:{title:'code', subtitle:'title'}},
+})
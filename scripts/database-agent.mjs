@@ -156,16 +156,16 @@ class DatabaseAgent {
           id: true,
           email: true,
           mode: true,
-          items: true,
+          status: true,
+          items: {
+            select: { name: true, slug: true, stripePriceId: true, unitAmount: true, currency: true, quantity: true }
+          },
           createdAt: true,
           stripeSessionId: true
         }
       })
       
-      return orders.map(order => ({
-        ...order,
-        items: Array.isArray(order.items) ? order.items : [order.items]
-      }))
+      return orders
     } catch (error) {
       throw new Error(`Failed to list orders: ${error.message}`)
     }
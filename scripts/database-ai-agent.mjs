@@ -79,7 +79,15 @@ class DatabaseAIAgent extends AIAgent {
               return acc
             }, {}),
             recentOrders: orders.slice(0, 5),
-            totalItems: orders.reduce((sum, order) => sum + (order.items?.length || 0), 0)
+            totalItems: orders.reduce((sum, order) =>
+              sum + (order.items || []).reduce((n, item) => n + item.quantity, 0), 0),
+            // Minor units per currency, from the OrderItem rows
+            revenueByCurrency: orders.reduce((acc, order) => {
+              for (const item of order.items || []) {
+                acc[item.currency] = (acc[item.currency] || 0) + item.unitAmount * item.quantity
+              }
+              return acc
+            }, {})
           }
           
           return analysis
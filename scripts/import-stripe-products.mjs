@@ -0,0 +1,41 @@
+// scripts/import-stripe-products.mjs
+// Import Stripe products created outside the CMS (dashboard, Payment Links) as draft
+// Sanity products, then stamp them with the new sanityId (see lib/stripeImport.ts).
+// Usage: npm run import:stripe -- [--dry-run]
+import 'dotenv/config'
+import Stripe from 'stripe'
+import { createClient } from '@sanity/client'
+import { createStripeImporter } from '../lib/stripeImport.ts'
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || '')
+const sanity = createClient({
+  projectId: process.env.SANITY_PROJECT_ID,
+  dataset: process.env.SANITY_DATASET,
+  apiVersion: process.env.SANITY_API_VERSION || '2024-07-01',
+  token: process.env.SANITY_WRITE_TOKEN,
+  useCdn: false,
+})
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run')
+  if (!dryRun && !process.env.SANITY_WRITE_TOKEN) throw new Error('Missing SANITY_WRITE_TOKEN')
+
+  const results = await createStripeImporter({ stripe, sanity }).importProducts({
+    dryRun,
+    onProgress: (r) => {
+      if (!r.ok) return console.error(`❌ ${r.stripeProductId} ${r.name}: ${r.error}`)
+      const skipped = r.skipped.length ? `, skipped ${r.skipped.join(', ')}` : ''
+      console.log(`${dryRun ? '📝' : '✅'} ${r.stripeProductId} ${r.name} → drafts.${r.id} (/${r.slug}), ${r.linked.length} price(s)${skipped}`)
+    },
+  })
+
+  if (!results.length) console.log('Nothing to import: every active Stripe product is linked to Sanity.')
+  else if (dryRun) console.log(`\nDry run: ${results.length} product(s) would be imported. Re-run without --dry-run to write.`)
+  else console.log(`\n${results.filter((r) => r.ok).length}/${results.length} imported as drafts. Review and publish them in the Studio.`)
+  process.exitCode = results.some((r) => !r.ok) ? 1 : 0
+}
+
+main().catch((e) => {
+  console.error('Fatal:', e)
+  process.exitCode = 1
+})
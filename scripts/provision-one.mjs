@@ -1,9 +1,13 @@
 import 'dotenv/config'
+import { userInfo } from 'os'
+import { formatMoney } from '../lib/money.ts'
 
 async function main() {
-  const arg = process.argv[2]
+  const args = process.argv.slice(2)
+  const dryRun = args.includes('--dry-run')
+  const arg = args.find((a) => !a.startsWith('--'))
   if (!arg) {
-    console.error('Usage: npm run provision <slug|sanityId>')
+    console.error('Usage: npm run provision <slug|sanityId> [-- --dry-run]')
     process.exit(1)
   }
 
@@ -16,7 +20,7 @@ async function main() {
 
   // Heuristic: sanity ids often contain dashes; slug could too, but allow explicit prefix prod-
   const isId = /^[a-z0-9]+[-][a-z0-9-]+$/i.test(arg) || arg.startsWith('prod-')
-  const payload = isId ? { id: arg } : { slug: arg }
+  const payload = { ...(isId ? { id: arg } : { slug: arg }), dryRun, actor: `cli:${userInfo().username}` }
 
   const res = await fetch(`${base}/api/admin/provision`, {
     method: 'POST',
@@ -24,8 +28,22 @@ async function main() {
     body: JSON.stringify(payload),
   })
   const text = await res.text()
-  console.log(text)
-  process.exit(res.ok ? 0 : 1)
+  if (!res.ok) {
+    console.error(text)
+    process.exit(1)
+  }
+
+  const result = JSON.parse(text)
+  console.log(`${dryRun ? '🔎 Dry run for' : '✅ Provisioned'} ${result.slug || result.id}`)
+  if (!result.changes.length) console.log('   No price changes; Stripe already matches Sanity.')
+  for (const c of result.changes) {
+    const from = c.oldStripePriceId
+      ? `${c.oldStripePriceId} (${c.oldAmount != null ? formatMoney(c.oldAmount, c.currency) : 'missing in Stripe'})`
+      : 'none'
+    const to = c.newStripePriceId || (dryRun ? 'new price' : '?')
+    console.log(`   ${c.field}: ${from} → ${to} (${formatMoney(c.newAmount, c.currency)})${c.oldAmount != null && !dryRun ? ', old price archived' : ''}`)
+  }
+  process.exit(0)
 }
 
 main().catch(err => { console.error(err); process.exit(1) })
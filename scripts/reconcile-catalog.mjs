@@ -0,0 +1,68 @@
+// scripts/reconcile-catalog.mjs
+// Report catalog drift between Sanity, Stripe and Postgres (see lib/reconcile.ts).
+// Usage: npm run reconcile -- [--fix] [--json]
+//   --fix   apply every available auto-fix, one finding at a time
+//   --json  print findings as JSON instead of a table
+import 'dotenv/config'
+import { userInfo } from 'os'
+import Stripe from 'stripe'
+import { createClient } from '@sanity/client'
+import { PrismaClient } from '@prisma/client'
+import { createProvisioner } from '../lib/provisioning.ts'
+import { FIX_LABELS, createReconciler } from '../lib/reconcile.ts'
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || '')
+const sanity = createClient({
+  projectId: process.env.SANITY_PROJECT_ID,
+  dataset: process.env.SANITY_DATASET,
+  apiVersion: process.env.SANITY_API_VERSION || '2024-07-01',
+  token: process.env.SANITY_WRITE_TOKEN,
+  useCdn: false,
+})
+const prisma = new PrismaClient()
+
+async function main() {
+  const args = process.argv.slice(2)
+  const actor = `cli:${userInfo().username}`
+  const { provision } = createProvisioner({ stripe, sanity, prisma })
+  const reconciler = createReconciler({ stripe, sanity, prisma, provision })
+
+  const findings = await reconciler.findDrift()
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(findings, null, 2))
+  } else if (!findings.length) {
+    console.log('✅ No drift: Stripe matches Sanity.')
+  } else {
+    console.log(`Found ${findings.length} drift finding(s):\n`)
+    for (const f of findings) {
+      const fix = f.fix ? `fix: ${FIX_LABELS[f.fix]}` : 'manual'
+      console.log(`- [${f.kind}] ${f.slug || f.sanityId || ''} ${f.message} (${fix})`)
+    }
+  }
+
+  if (!args.includes('--fix')) {
+    process.exitCode = findings.length ? 1 : 0
+    return
+  }
+
+  let failed = 0
+  for (const f of findings.filter((x) => x.fix)) {
+    try {
+      await reconciler.fix(f.id, { actor })
+      console.log(`🔧 ${f.id}: ${FIX_LABELS[f.fix]}`)
+    } catch (err) {
+      // 404: an earlier fix (e.g. provisioning the product) already resolved it
+      if (err?.status === 404) continue
+      failed++
+      console.error(`❌ ${f.id}: ${err?.message || err}`)
+    }
+  }
+  process.exitCode = failed ? 1 : 0
+}
+
+main()
+  .catch((e) => {
+    console.error('Fatal:', e)
+    process.exitCode = 1
+  })
+  .finally(() => prisma.$disconnect())
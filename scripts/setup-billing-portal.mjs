@@ -0,0 +1,47 @@
+// scripts/setup-billing-portal.mjs
+// Create or update the Stripe Billing Portal configuration from Sanity's subscription
+// products (see lib/billingPortal.ts). Re-run after adding or re-pricing a retest plan.
+// Usage: npm run portal:setup -- [--dry-run]
+import 'dotenv/config'
+import Stripe from 'stripe'
+import { createClient } from '@sanity/client'
+import { portalConfiguration } from '../lib/billingPortal.ts'
+import { PRODUCT_PROJECTION } from '../lib/provisioning.ts'
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || '')
+const sanity = createClient({
+  projectId: process.env.SANITY_PROJECT_ID,
+  dataset: process.env.SANITY_DATASET,
+  apiVersion: process.env.SANITY_API_VERSION || '2024-07-01',
+  token: process.env.SANITY_WRITE_TOKEN,
+  useCdn: false,
+})
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run')
+  const site = process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000'
+  const products = await sanity.fetch(`*[_type=="product" && !(_id in path("drafts.**"))]${PRODUCT_PROJECTION}`)
+  const config = portalConfiguration(products, { returnUrl: `${site}/account` })
+
+  const switchable = config.features.subscription_update.products || []
+  console.log(`${switchable.length} subscription product(s) with switchable cadences`)
+  if (dryRun) {
+    console.log(JSON.stringify(config, null, 2))
+    return
+  }
+
+  const existing = process.env.STRIPE_PORTAL_CONFIGURATION_ID
+  if (existing) {
+    await stripe.billingPortal.configurations.update(existing, config)
+    console.log(`✅ Updated portal configuration ${existing}`)
+  } else {
+    const created = await stripe.billingPortal.configurations.create(config)
+    console.log(`✅ Created portal configuration ${created.id}`)
+    console.log(`   Add STRIPE_PORTAL_CONFIGURATION_ID=${created.id} to the app env`)
+  }
+}
+
+main().catch((e) => {
+  console.error('Fatal:', e)
+  process.exitCode = 1
+})
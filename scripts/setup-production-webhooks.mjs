@@ -1,5 +1,6 @@
 // scripts/setup-production-webhooks.mjs
 import 'dotenv/config'
+import { ALL_PRICE_FIELDS } from '../lib/pricing.ts'
 import { StripeAgent } from './stripe-agent.mjs'
 
 class ProductionWebhookSetup {
@@ -15,11 +16,31 @@ class ProductionWebhookSetup {
         url: 'https://hormonegroup.ie/api/stripe/webhook',
         enabled_events: [
           'checkout.session.completed',
+          'checkout.session.async_payment_succeeded',
+          'checkout.session.async_payment_failed',
           'payment_intent.succeeded',
           'product.created',
           'product.updated',
+          'product.deleted',
           'price.created',
-          'price.updated'
+          'price.updated',
+          'price.deleted',
+          'customer.subscription.created',
+          'customer.subscription.updated',
+          'customer.subscription.deleted',
+          'customer.subscription.paused',
+          'customer.subscription.resumed',
+          'subscription_schedule.updated',
+          'subscription_schedule.released',
+          'subscription_schedule.canceled',
+          'subscription_schedule.completed',
+          'invoice.paid',
+          'invoice.payment_failed',
+          'checkout.session.expired',
+          'charge.refunded',
+          'charge.dispute.created',
+          'charge.dispute.updated',
+          'charge.dispute.closed'
         ],
         description: 'HormoneGroup.ie production webhook'
       })
@@ -76,25 +97,36 @@ class ProductionWebhookSetup {
     console.log('')
     console.log('📋 Webhook Configuration:')
     console.log('   Name: HormoneGroup Auto-Provision')
-    console.log('   URL: https://hormonegroup.ie/api/admin/provision')
+    console.log('   URL: https://hormonegroup.ie/api/webhooks/sanity/product')
     console.log('   HTTP Method: POST')
     console.log('   Dataset: production')
     console.log('')
-    console.log('📋 Headers:')
-    console.log(`   Authorization: Bearer ${process.env.PROVISION_SECRET}`)
+    console.log('📋 Secret:')
+    console.log('   Generate one and set the same value as SANITY_WEBHOOK_SECRET in the app env')
     console.log('')
     console.log('📋 Filter (Include only):')
-    console.log('   _type == "product" && defined(slug.current) && !(_id in path("drafts.**"))')
+    console.log('   _type == "product" && defined(priceEUR) && !(_id in path("drafts.**"))')
     console.log('')
-    console.log('📋 Projection (Optional):')
-    console.log('   { "slug": slug.current, "id": _id, "title": title }')
+    console.log('📋 Projection:')
+    console.log('   { _id, _type, stripeProductId, "operation": delta::operation(),')
+    const delta = `priceEUR, priceGBP, flags, stripeProductId, ${ALL_PRICE_FIELDS.join(', ')}`
+    console.log(`     "before": before(){${delta}},`)
+    console.log(`     "after": after(){${delta}} }`)
     console.log('')
     console.log('📋 Trigger on:')
     console.log('   ✅ Create')
     console.log('   ✅ Update')
-    console.log('   ❌ Delete')
+    console.log('   ✅ Delete (also fires on unpublish)')
     console.log('')
-    console.log('🎯 This webhook will automatically provision new Sanity products to Stripe!')
+    console.log('🎯 This webhook provisions new Sanity products to Stripe and archives deleted ones!')
+    console.log('')
+    console.log('📋 Second webhook, same secret: HormoneGroup Promotions')
+    console.log('   URL: https://hormonegroup.ie/api/webhooks/sanity/promotion')
+    console.log('   Filter: _type == "promotion" && !(_id in path("drafts.**"))')
+    console.log('   Projection: { _id, _type, stripePromotionCodeId, "operation": delta::operation() }')
+    console.log('   Trigger on: Create, Update, Delete')
+    console.log('')
+    console.log('🎯 This one keeps Stripe coupons and promotion codes in step with Sanity promotions.')
   }
 
   async verifyProductionEnvironment() {
@@ -108,6 +140,7 @@ class ProductionWebhookSetup {
       'SANITY_WRITE_TOKEN': process.env.SANITY_WRITE_TOKEN,
       'DATABASE_URL': process.env.DATABASE_URL,
       'PROVISION_SECRET': process.env.PROVISION_SECRET,
+      'SANITY_WEBHOOK_SECRET': process.env.SANITY_WEBHOOK_SECRET,
       'NEXTAUTH_SECRET': process.env.NEXTAUTH_SECRET
     }
 
@@ -1,8 +1,12 @@
 // scripts/stripe-ai-agent.mjs
 import { AIAgent } from '../lib/ai-agent.mjs'
 import { StripeAgent } from './stripe-agent.mjs'
+import { fromMinorUnits } from '../lib/money.ts'
 import 'dotenv/config'
 
+// list-prices returns { unitAmount (minor units), currency }
+const majorAmount = (p) => fromMinorUnits(p.unitAmount || 0, p.currency)
+
 class StripeAIAgent extends AIAgent {
   constructor() {
     // Initialize base Stripe agent
@@ -61,7 +65,7 @@ class StripeAIAgent extends AIAgent {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-              priceId: params.priceId,
+              slug: params.slug,
               successPath: params.successPath || '/thanks',
               cancelPath: params.cancelPath || '/tests'
             })
@@ -215,7 +219,7 @@ When users ask about:
   // Enhanced Business Intelligence Methods
   
   async generateRevenueForcast(products, prices) {
-    const avgPrice = prices.reduce((sum, p) => sum + (p.unit_amount || 0), 0) / prices.length / 100
+    const avgPrice = prices.reduce((sum, p) => sum + majorAmount(p), 0) / prices.length
     const activeProducts = products.filter(p => p.active).length
     
     return {
@@ -226,8 +230,8 @@ When users ask about:
           averagePrice: avgPrice,
           totalProducts: products.length,
           priceRange: {
-            min: Math.min(...prices.map(p => p.unit_amount || 0)) / 100,
-            max: Math.max(...prices.map(p => p.unit_amount || 0)) / 100
+            min: Math.min(...prices.map(majorAmount)),
+            max: Math.max(...prices.map(majorAmount))
           }
         },
         projections: {
@@ -265,7 +269,7 @@ When users ask about:
   }
 
   async analyzePricingStrategy(prices) {
-    const pricePoints = prices.map(p => p.unit_amount / 100).filter(p => p > 0)
+    const pricePoints = prices.map(majorAmount).filter(p => p > 0)
     const avgPrice = pricePoints.reduce((a, b) => a + b, 0) / pricePoints.length
     
     return {
@@ -409,7 +413,7 @@ When users ask about:
 
   async assessFinancialHealth(account, products, prices) {
     const isLive = account.details_submitted && !account.charges_enabled === false
-    const avgPrice = prices.reduce((sum, p) => sum + (p.unit_amount || 0), 0) / prices.length / 100
+    const avgPrice = prices.reduce((sum, p) => sum + majorAmount(p), 0) / prices.length
     
     return {
       financialHealthAssessment: {
@@ -1,8 +1,12 @@
 // scripts/stripe-ai-agent-v2.mjs
 import { EnhancedAIAgent } from '../lib/enhanced-ai-agent.mjs'
 import { StripeAgent } from './stripe-agent.mjs'
+import { fromMinorUnits } from '../lib/money.ts'
 import 'dotenv/config'
 
+// list-prices returns { unitAmount (minor units), currency }
+const majorAmount = (p) => fromMinorUnits(p.unitAmount || 0, p.currency)
+
 /**
  * Enhanced Stripe AI Agent with Advanced Engineering
  * Implements sophisticated financial analysis, risk management, and business intelligence
@@ -234,14 +238,14 @@ class EnhancedStripeAIAgent extends EnhancedAIAgent {
     }
     
     prices.forEach(price => {
-      const amount = price.unit_amount / 100 // Convert from cents
+      const amount = majorAmount(price)
       if (amount < 30) distribution.ranges.low++
       else if (amount < 70) distribution.ranges.medium++
       else if (amount < 150) distribution.ranges.high++
       else distribution.ranges.premium++
     })
     
-    distribution.averagePrice = prices.reduce((sum, p) => sum + (p.unit_amount / 100), 0) / prices.length || 0
+    distribution.averagePrice = prices.reduce((sum, p) => sum + majorAmount(p), 0) / prices.length || 0
     
     return distribution
   }
@@ -286,7 +290,7 @@ class EnhancedStripeAIAgent extends EnhancedAIAgent {
     
     // Analyze price points
     if (prices.length > 0) {
-      const avgPrice = prices.reduce((sum, p) => sum + (p.unit_amount / 100), 0) / prices.length
+      const avgPrice = prices.reduce((sum, p) => sum + majorAmount(p), 0) / prices.length
       
       if (avgPrice < 50) {
         opportunities.push({
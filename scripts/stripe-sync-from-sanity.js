@@ -1,6 +1,14 @@
 /* eslint-disable no-console */
+// Provision every Sanity product into Stripe using the shared engine (lib/provisioning.ts),
+// then sync promotions to coupons/promotion codes (lib/promotions.ts), which need the products.
+// Usage: npm run sync:stripe -- [--dry-run] [--concurrency=3]
+const os = require('os')
 const Stripe = require('stripe')
 const { createClient } = require('@sanity/client')
+const { PrismaClient } = require('@prisma/client')
+const { createProvisioner } = require('../lib/provisioning.ts')
+const { createPromotionSync } = require('../lib/promotions.ts')
+const { formatMoney } = require('../lib/money.ts')
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || '')
 const sanity = createClient({
@@ -10,58 +18,67 @@ const sanity = createClient({
   token: process.env.SANITY_WRITE_TOKEN,
   useCdn: false,
 })
+const prisma = new PrismaClient()
 
-async function main() {
-  const missing = await sanity.fetch(
-    `*[_type=="product" && (!defined(stripeProductId) || !defined(stripePriceIdOneTime))]{
-      _id, title, "slug": slug.current, priceEUR, stripeProductId, stripePriceIdOneTime
-    }`
-  )
-
-  if (!missing.length) {
-    console.log('✅ Nothing to do; all products have Stripe IDs.')
-    return
-  }
-
-  console.log(`Found ${missing.length} product(s) to provision…`)
+function parseArgs(argv) {
+  const dryRun = argv.includes('--dry-run')
+  const c = argv.find((a) => a.startsWith('--concurrency='))
+  const concurrency = c ? Math.max(1, parseInt(c.split('=')[1], 10) || 1) : 3
+  return { dryRun, concurrency }
+}
 
-  for (const p of missing) {
-    try {
-      let { stripeProductId, stripePriceIdOneTime } = p
+async function main() {
+  const { dryRun, concurrency } = parseArgs(process.argv.slice(2))
 
-      if (!stripeProductId) {
-        const sp = await stripe.products.create({
-          name: p.title,
-          metadata: { sanityId: p._id, slug: p.slug || '' },
-        })
-        stripeProductId = sp.id
-      }
+  console.log(`${dryRun ? '🔎 Dry run: ' : ''}provisioning all products (concurrency ${concurrency})…`)
+  const results = await createProvisioner({ stripe, sanity, prisma }).provisionAll({
+    dryRun,
+    concurrency,
+    actor: `cli:${os.userInfo().username}`,
+    onProgress: ({ done, total, result }) => {
+      const name = result.slug || result.id
+      const status = !result.ok ? `❌ ${result.error}` : result.changes.length ? `${result.changes.length} price change(s)` : 'up to date'
+      console.log(`[${done}/${total}] ${name}: ${status}`)
+    },
+  })
 
-      if (!stripePriceIdOneTime) {
-        if (p.priceEUR == null) throw new Error('priceEUR missing')
-        const unitAmount = Math.round(Number(p.priceEUR) * 100)
-        const price = await stripe.prices.create({
-          product: stripeProductId,
-          currency: 'eur',
-          unit_amount: unitAmount,
-          nickname: `${p.title} one-time`,
-          metadata: { sanityId: p._id, slug: p.slug || '' },
-        })
-        stripePriceIdOneTime = price.id
-      }
+  const failed = results.filter((r) => !r.ok)
+  const changed = results.filter((r) => r.ok && r.changes.length)
+  console.log(`\n${results.length} product(s): ${changed.length} ${dryRun ? 'to change' : 'changed'}, ${failed.length} failed`)
+  for (const r of changed) {
+    console.log(`\n${r.slug || r.id} (product ${r.stripeProductId || 'new'})`)
+    for (const c of r.changes) {
+      const from = c.oldStripePriceId
+        ? `${c.oldStripePriceId} (${c.oldAmount != null ? formatMoney(c.oldAmount, c.currency) : 'missing in Stripe'})`
+        : 'none'
+      console.log(`  ${c.field}: ${from} → ${c.newStripePriceId || 'new price'} (${formatMoney(c.newAmount, c.currency)})`)
+    }
+  }
+  for (const r of failed) console.log(`\n❌ ${r.slug || r.id}: ${r.error}`)
 
-      await sanity.patch(p._id)
-        .set({ stripeProductId, stripePriceIdOneTime })
-        .commit()
+  console.log(`\n${dryRun ? '🔎 Dry run: ' : ''}syncing promotions…`)
+  const promos = await createPromotionSync({ stripe, sanity }).syncAll({
+    dryRun,
+    onProgress: (r) => {
+      const status = !r.ok ? `❌ ${r.error}` : r.action === 'none' ? 'up to date' : `${r.action}${dryRun ? ' (dry run)' : ''}`
+      console.log(`  ${r.code}: ${status}`)
+    },
+  })
+  const failedPromos = promos.filter((r) => !r.ok)
+  console.log(`${promos.length} promotion(s), ${failedPromos.length} failed`)
+  process.exitCode = failed.length || failedPromos.length ? 1 : 0
+}
 
-      console.log(`✅ ${p.title} → product=${stripeProductId} price=${stripePriceIdOneTime}`)
-    } catch (e) {
-      console.error(`❌ ${p.title}:`, e.message || e)
-    }
+async function run() {
+  try {
+    await main()
+  } catch (e) {
+    console.error('Fatal:', e)
+    process.exitCode = 1
+  } finally {
+    // Awaited so the pool closes before Node exits, even when provisioning threw
+    await prisma.$disconnect()
   }
 }
 
-main().catch((e) => {
-  console.error('Fatal:', e)
-  process.exit(1)
-})
+run()
@@ -3,6 +3,9 @@ import 'dotenv/config'
 import { SanityAgent } from './sanity-agent.mjs'
 import { StripeAgent } from './stripe-agent.mjs'
 import { DatabaseAgent } from './database-agent.mjs'
+import { toMinorUnits } from '../lib/money.ts'
+import { createProvisioner } from '../lib/provisioning.ts'
+import { createReconciler } from '../lib/reconcile.ts'
 
 class WorkflowOrchestrator {
   constructor() {
@@ -57,7 +60,7 @@ class WorkflowOrchestrator {
 
       // Step 3: Create checkout session
       console.log('\n🛒 Step 3: Creating checkout session...')
-      const checkoutResult = await this.createCheckoutSession(provisionResult.stripePriceIdOneTime)
+      const checkoutResult = await this.createCheckoutSession(provisionResult.slug || sanityResult.slug.current)
       
       if (checkoutResult.error) {
         throw new Error(`Checkout creation failed: ${checkoutResult.error}`)
@@ -147,7 +150,7 @@ class WorkflowOrchestrator {
     }
   }
 
-  async createCheckoutSession(priceId) {
+  async createCheckoutSession(slug) {
     try {
       const base = process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000'
       
@@ -155,7 +158,7 @@ class WorkflowOrchestrator {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
-          priceId,
+          slug,
           successPath: '/thanks',
           cancelPath: '/tests'
         })
@@ -178,7 +181,14 @@ class WorkflowOrchestrator {
         data: {
           email: orderData.email,
           stripeSessionId: orderData.stripeSessionId,
-          items: orderData.items,
+          items: {
+            create: orderData.items.map(item => ({
+              name: item.name,
+              unitAmount: toMinorUnits(item.price, 'eur'),
+              currency: 'eur',
+              quantity: item.quantity
+            }))
+          },
           mode: orderData.mode
         }
       })
@@ -262,6 +272,7 @@ class WorkflowOrchestrator {
         recentOrders: recentOrders.length || 0
       },
       health: await this.runHealthChecks(),
+      drift: await this.driftSummary(),
       timestamp: new Date().toISOString()
     }
     
@@ -269,11 +280,28 @@ class WorkflowOrchestrator {
     console.log(`Sanity: ${monitoring.sanity.totalProducts} products (${monitoring.sanity.syncedProducts} synced)`)
     console.log(`Stripe: ${monitoring.stripe.totalProducts} products, ${monitoring.stripe.totalPrices} prices`)
     console.log(`Database: ${monitoring.database.stats.Order || 0} orders, ${monitoring.database.stats.User || 0} users`)
+    console.log(`Drift: ${monitoring.drift.error ? `🔴 ${monitoring.drift.error}` : `${monitoring.drift.total} finding(s)${monitoring.drift.total ? ' (npm run reconcile for details)' : ''}`}`)
     console.log(`Health: ${monitoring.health.database.connected ? '🟢' : '🔴'} DB, ${monitoring.health.sanity.error ? '🔴' : '🟢'} Sanity, ${monitoring.health.stripe.error ? '🔴' : '🟢'} Stripe`)
     
     return monitoring
   }
 
+  // Drift counts by kind; the full report and auto-fixes live in scripts/reconcile-catalog.mjs
+  async driftSummary() {
+    try {
+      const stripe = this.stripeAgent.stripe
+      const sanity = this.sanityAgent.writeClient
+      const prisma = this.databaseAgent.prismaClient
+      const { provision } = createProvisioner({ stripe, sanity, prisma })
+      const findings = await createReconciler({ stripe, sanity, prisma, provision }).findDrift()
+      const byKind = {}
+      for (const f of findings) byKind[f.kind] = (byKind[f.kind] || 0) + 1
+      return { total: findings.length, byKind }
+    } catch (error) {
+      return { total: 0, byKind: {}, error: error.message }
+    }
+  }
+
   async cleanup() {
     await this.databaseAgent.cleanup()
   }
@@ -0,0 +1,57 @@
+import { test, expect } from '@playwright/test'
+import type Stripe from 'stripe'
+import { addressesFromInvoice, addressesFromSession, formatAddressLines, isPostalAddress } from '../../lib/address'
+import { fake } from './helpers/fakes'
+
+const dublin = { line1: '1 Main St', line2: '', city: 'Dublin', state: null, postal_code: 'D01 F5P2', country: 'IE' }
+const cork = { line1: '9 Quay Rd', line2: 'Unit 4', city: 'Cork', state: 'Co. Cork', postal_code: 'T12 X70A', country: 'IE' }
+
+test('a checkout session gives shipping from collected_information and billing from customer_details', () => {
+  const session = fake<Stripe.Checkout.Session>({
+    customer_details: { name: ' Ann Byrne ', phone: '+353871234567', address: cork },
+    collected_information: { shipping_details: { name: 'Ann at work', address: dublin } },
+  })
+  const { shipping, billing, phone } = addressesFromSession(session)
+  expect(shipping).toEqual({
+    name: 'Ann at work',
+    line1: '1 Main St',
+    line2: null,
+    city: 'Dublin',
+    state: null,
+    postalCode: 'D01 F5P2',
+    country: 'IE',
+    phone: '+353871234567',
+  })
+  expect(billing).toMatchObject({ name: 'Ann Byrne', line2: 'Unit 4', postalCode: 'T12 X70A' })
+  expect(phone).toBe('+353871234567')
+})
+
+test('missing parts come back undefined so they can be spread into a Prisma create', () => {
+  const session = fake<Stripe.Checkout.Session>({ customer_details: { name: 'Ann', phone: null, address: null } })
+  expect(addressesFromSession(session)).toEqual({ shipping: undefined, billing: undefined, phone: undefined })
+})
+
+test("a renewal invoice uses the customer's shipping snapshot, falling back to the invoice phone", () => {
+  const invoice = fake<Stripe.Invoice>({
+    customer_shipping: { name: 'Ann Byrne', phone: null, address: dublin },
+    customer_address: cork,
+    customer_name: 'Ann Byrne',
+    customer_phone: '+353871234567',
+  })
+  const { shipping, billing } = addressesFromInvoice(invoice)
+  expect(shipping).toMatchObject({ city: 'Dublin', phone: '+353871234567' })
+  expect(billing).toMatchObject({ city: 'Cork', name: 'Ann Byrne' })
+  expect(isPostalAddress(shipping)).toBe(true)
+  expect(isPostalAddress({ city: 'Dublin' })).toBe(false)
+})
+
+test('label lines skip empty parts', () => {
+  const { shipping, billing } = addressesFromSession(
+    fake<Stripe.Checkout.Session>({
+      customer_details: { name: 'Ann Byrne', address: cork },
+      collected_information: { shipping_details: { name: 'Ann Byrne', address: dublin } },
+    })
+  )
+  expect(formatAddressLines(shipping!)).toEqual(['Ann Byrne', '1 Main St', 'Dublin', 'D01 F5P2 IE'])
+  expect(formatAddressLines(billing!)).toEqual(['Ann Byrne', '9 Quay Rd', 'Unit 4', 'Cork, Co. Cork', 'T12 X70A IE'])
+})
@@ -0,0 +1,27 @@
+import { test, expect } from '@playwright/test'
+import { portalConfiguration, switchablePrices } from '../../lib/billingPortal'
+
+const plan = {
+  _id: 'p1',
+  stripeProductId: 'prod_1',
+  flags: { subscription: true },
+  stripePriceIdSubscription: 'price_month',
+  stripePriceIdSubscriptionQuarterly: 'price_quarter',
+  stripePriceIdSubscriptionGBP: 'price_month_gbp',
+}
+
+test('offers every recurring price of subscription products only', () => {
+  const oneOff = { _id: 'p2', stripeProductId: 'prod_2', stripePriceIdOneTime: 'price_once' }
+  const unprovisioned = { _id: 'p3', flags: { subscription: true } }
+  expect(switchablePrices([plan, oneOff, unprovisioned])).toEqual([
+    { product: 'prod_1', prices: ['price_month', 'price_quarter', 'price_month_gbp'] },
+  ])
+})
+
+test('cancels at period end and disables switching without subscription products', () => {
+  const config = portalConfiguration([plan], { returnUrl: 'https://example.test/account' })
+  expect(config.default_return_url).toBe('https://example.test/account')
+  expect(config.features.subscription_cancel).toMatchObject({ enabled: true, mode: 'at_period_end' })
+  expect(config.features.subscription_update).toMatchObject({ enabled: true, default_allowed_updates: ['price'] })
+  expect(portalConfiguration([]).features.subscription_update).toEqual({ enabled: false })
+})
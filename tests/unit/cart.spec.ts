@@ -0,0 +1,42 @@
+import { test, expect } from '@playwright/test'
+import {
+  MAX_QUANTITY,
+  addItem,
+  cartCount,
+  cartSubtotal,
+  clampQuantity,
+  removeItem,
+  setQuantity,
+  type CartItem,
+} from '../../lib/cart'
+
+const thyroid: CartItem = { slug: 'thyroid-basic', title: 'Thyroid Basic', unitAmount: 5900, currency: 'eur', quantity: 1 }
+const iron: CartItem = { slug: 'iron-panel', title: 'Iron Panel', unitAmount: 4500, currency: 'eur', quantity: 2 }
+
+test('quantities are whole numbers between 1 and MAX_QUANTITY', () => {
+  const clamped = ['3', 2.7, 0, 'abc', 99].map(clampQuantity)
+  expect(clamped).toEqual([3, 2, 1, 1, MAX_QUANTITY])
+})
+
+test('adding a product already in the cart raises its quantity, up to the cap', () => {
+  const cart = addItem([thyroid], { ...thyroid, quantity: 2 })
+  expect(cart).toEqual([{ ...thyroid, quantity: 3 }])
+  expect(addItem(cart, { ...thyroid, quantity: 50 })[0].quantity).toBe(MAX_QUANTITY)
+  expect(addItem(cart, iron).map((i) => i.slug)).toEqual(['thyroid-basic', 'iron-panel'])
+})
+
+test('setting a quantity below 1 removes the line', () => {
+  const cart = [thyroid, iron]
+  expect(setQuantity(cart, 'iron-panel', 4)).toEqual([thyroid, { ...iron, quantity: 4 }])
+  expect(setQuantity(cart, 'iron-panel', 0)).toEqual([thyroid])
+  expect(removeItem(cart, 'thyroid-basic')).toEqual([iron])
+})
+
+test('count and subtotal cover every line in one currency', () => {
+  expect(cartCount([thyroid, iron])).toBe(3)
+  expect(cartSubtotal([thyroid, iron])).toEqual({ amount: 14900, currency: 'eur' })
+  expect(cartSubtotal([])).toBeNull()
+  // Unknown prices or mixed currencies have no meaningful subtotal
+  expect(cartSubtotal([thyroid, { ...iron, unitAmount: undefined }])).toBeNull()
+  expect(cartSubtotal([thyroid, { ...iron, currency: 'gbp' }])).toBeNull()
+})
@@ -0,0 +1,61 @@
+import { test, expect } from '@playwright/test'
+import type Stripe from 'stripe'
+import { decodeProductRefs, encodeCheckoutMetadata, resolveProductRef } from '../../lib/checkoutMetadata'
+import { fake, type Fake } from './helpers/fakes'
+
+const thyroid = { priceId: 'price_eur', sanityId: 'p1', slug: 'thyroid-basic' }
+const iron = { priceId: 'price_iron', sanityId: 'p2', slug: 'iron-panel' }
+
+test('product refs survive the round trip through session metadata', () => {
+  const metadata = encodeCheckoutMetadata('ref_1', [thyroid, iron])
+  expect(metadata).toEqual({
+    orderRef: 'ref_1',
+    sanityIds: 'p1,p2',
+    line_0: 'price_eur p1 thyroid-basic',
+    line_1: 'price_iron p2 iron-panel',
+  })
+  expect(decodeProductRefs({ ...metadata, userId: 'u1' })).toEqual(
+    new Map([
+      ['price_eur', thyroid],
+      ['price_iron', iron],
+    ])
+  )
+})
+
+test("sanityIds lists each product once and stays within Stripe's 500-character limit", () => {
+  const refs = Array.from({ length: 20 }, (_, i) => ({
+    priceId: `price_${i}`,
+    sanityId: `${'product-'.repeat(4)}${i}`,
+    slug: `test-${i}`,
+  }))
+  const metadata = encodeCheckoutMetadata('ref_1', [...refs, refs[0]])
+  expect(metadata.sanityIds.length).toBe(500)
+  expect(metadata.sanityIds.startsWith(`${refs[0].sanityId},${refs[1].sanityId},`)).toBe(true)
+  expect(metadata.sanityIds.split(',').filter((id) => id === refs[0].sanityId)).toHaveLength(1)
+  // The lines are not truncated, so every product still decodes
+  expect(decodeProductRefs(metadata).size).toBe(20)
+})
+
+test('decoding skips other keys and malformed lines', () => {
+  expect(decodeProductRefs(null).size).toBe(0)
+  const refs = decodeProductRefs({ orderRef: 'ref_1', line_0: 'price_eur', line_x: 'price_x p9 x', line_1: 'price_iron p2' })
+  expect(refs).toEqual(new Map([['price_iron', { priceId: 'price_iron', sanityId: 'p2', slug: '' }]]))
+})
+
+test('a price missing from the session falls back to the metadata provisioning stamps', () => {
+  const refs = decodeProductRefs(encodeCheckoutMetadata('ref_1', [thyroid]))
+  const price = (p: Fake<Stripe.Price>) => fake<Stripe.Price>(p)
+  expect(resolveProductRef(refs, price({ id: 'price_eur', metadata: {} }))).toBe(refs.get('price_eur'))
+  expect(
+    resolveProductRef(
+      refs,
+      price({ id: 'price_old', metadata: {}, product: { id: 'prod_1', metadata: { sanityId: 'p1', slug: 'thyroid-basic' } } })
+    )
+  ).toEqual({ priceId: 'price_old', sanityId: 'p1', slug: 'thyroid-basic' })
+  expect(resolveProductRef(refs, price({ id: 'price_manual', metadata: {} }))).toEqual({
+    priceId: 'price_manual',
+    sanityId: undefined,
+    slug: undefined,
+  })
+  expect(resolveProductRef(refs, null)).toEqual({})
+})
@@ -0,0 +1,80 @@
+import { test, expect } from '@playwright/test'
+import type Stripe from 'stripe'
+import type { CheckoutRequest } from '../../lib/catalog'
+import { createCheckoutSessions } from '../../lib/checkoutSession'
+import { createCustomerLinker } from '../../lib/customers'
+import { fake, noSuch, recorder } from './helpers/fakes'
+
+type Deps = Parameters<typeof createCheckoutSessions>[0]
+type LinkerDeps = Parameters<typeof createCustomerLinker>[0]
+
+// What a product page's "Buy now" posts, once the route has validated it
+const productPageRequest: CheckoutRequest = {
+  items: [{ slug: 'thyroid-basic', quantity: 1 }],
+  mode: 'payment',
+  interval: 'month',
+  currency: 'eur',
+  successPath: '/thanks',
+  cancelPath: '/tests/thyroid-basic',
+}
+
+function fakes() {
+  const { calls, record } = recorder()
+  const sessions: Stripe.Checkout.SessionCreateParams[] = []
+  const account = { id: 'u1', email: 'ann@example.com', stripeCustomerId: 'cus_account' }
+  const stripe = fake<Stripe>({
+    customers: {
+      retrieve: async (id) => (id === account.stripeCustomerId ? { id } : Promise.reject(noSuch('customer', id))),
+      search: async () => (record('customers.search'), { data: [] }),
+      create: async () => (record('customers.create'), { id: 'cus_new' }),
+    },
+    checkout: {
+      sessions: {
+        create: async (params) => {
+          if (params) sessions.push(params)
+          return { id: 'cs_test_1', url: 'https://checkout.stripe.com/c/pay/cs_test_1' }
+        },
+      },
+    },
+  })
+  const linker = createCustomerLinker(
+    fake<LinkerDeps>({
+      stripe,
+      prisma: { user: { findUnique: async () => account, update: async () => (record('user.update'), account) } },
+    })
+  )
+  const checkout = createCheckoutSessions(
+    fake<Deps>({
+      stripe,
+      resolveLineItems: async ({ items }) => ({
+        lineItems: items.map((i) => ({ price: 'price_eur', quantity: i.quantity })),
+        products: items.map((i) => ({ _id: 'p1', slug: i.slug })),
+      }),
+      ensureCustomer: linker.ensureCustomer,
+      site: 'https://hormonegroup.ie',
+    })
+  )
+  return { checkout, sessions, calls }
+}
+
+test("a signed-in product-page checkout reuses the account's Stripe customer", async () => {
+  const { checkout, sessions, calls } = fakes()
+  const session = await checkout.create(productPageRequest, { id: 'u1', email: 'ann@example.com' })
+  expect(session.url).toContain('cs_test_1')
+  expect(sessions[0]).toMatchObject({
+    customer: 'cus_account',
+    customer_update: { address: 'auto', shipping: 'auto', name: 'auto' },
+    metadata: { userId: 'u1' },
+    cancel_url: 'https://hormonegroup.ie/tests/thyroid-basic',
+  })
+  expect(sessions[0].customer_creation).toBeUndefined()
+  expect(calls).toEqual([])
+})
+
+test('a guest product-page checkout has Stripe create a customer', async () => {
+  const { checkout, sessions } = fakes()
+  await checkout.create(productPageRequest, null)
+  expect(sessions[0].customer).toBeUndefined()
+  expect(sessions[0].customer_creation).toBe('always')
+  expect(sessions[0].metadata?.userId).toBeUndefined()
+})
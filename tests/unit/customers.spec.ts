@@ -0,0 +1,94 @@
+import { test, expect } from '@playwright/test'
+import type Stripe from 'stripe'
+import { createCustomerLinker } from '../../lib/customers'
+import { fake, noSuch, recorder, stripeList, stripeMetadata, type Fake } from './helpers/fakes'
+
+type Deps = Parameters<typeof createCustomerLinker>[0]
+
+const guest = { id: 'cus_guest', email: 'ann@example.com', created: 100, metadata: {} }
+const later = { id: 'cus_later', email: 'Ann@example.com', created: 200, metadata: {} }
+
+function fakes({
+  customers = [] as Fake<Stripe.Customer>[],
+  user = { id: 'u1', email: 'ann@example.com', stripeCustomerId: null as string | null },
+} = {}) {
+  const { calls, record } = recorder()
+  const linker = createCustomerLinker(
+    fake<Deps>({
+      stripe: {
+        customers: {
+          search: async () => ({ data: customers.filter((c) => !c.metadata?.mergedInto) }),
+          list: () => stripeList(customers),
+          retrieve: async (id) => customers.find((c) => c.id === id) ?? Promise.reject(noSuch('customer', id)),
+          create: async (p) => {
+            record(`create ${p?.email} userId=${p?.metadata && p.metadata.userId}`)
+            return { id: 'cus_new' }
+          },
+          update: async (id, p) => {
+            const c = customers.find((x) => x.id === id)
+            if (c) c.metadata = stripeMetadata(p?.metadata, c.metadata)
+            record(`update ${id} ${JSON.stringify(p?.metadata)}`)
+          },
+        },
+      },
+      prisma: {
+        user: {
+          findUnique: async () => user,
+          findFirst: async () => user,
+          update: async ({ data }) => {
+            if (typeof data.stripeCustomerId === 'string') user.stripeCustomerId = data.stripeCustomerId
+            record(`user.stripeCustomerId=${data.stripeCustomerId}`)
+          },
+        },
+        order: {
+          updateMany: async ({ where, data }) => {
+            record(`orders ${JSON.stringify(where)} → ${JSON.stringify(data)}`)
+            return { count: 2 }
+          },
+          groupBy: async () => [{ stripeCustomerId: 'cus_later', _count: { _all: 3 } }],
+        },
+        subscription: {
+          updateMany: async () => ({ count: 1 }),
+          groupBy: async () => [{ stripeCustomerId: 'cus_guest', _count: { _all: 1 } }],
+        },
+      },
+    })
+  )
+  return { linker, calls, user }
+}
+
+test('reuses a guest customer with the same email, else creates one', async () => {
+  const reuse = fakes({ customers: [{ ...guest, metadata: {} }] })
+  expect(await reuse.linker.ensureCustomer({ id: 'u1', email: 'ann@example.com' })).toBe('cus_guest')
+  expect(reuse.calls).toEqual(['update cus_guest {"userId":"u1"}', 'user.stripeCustomerId=cus_guest'])
+
+  const fresh = fakes()
+  expect(await fresh.linker.ensureCustomer({ id: 'u1', email: 'Ann@Example.com' })).toBe('cus_new')
+  expect(fresh.calls).toEqual(['create ann@example.com userId=u1', 'user.stripeCustomerId=cus_new'])
+})
+
+test('claims unowned orders by email, case-insensitively', async () => {
+  const { linker, calls } = fakes()
+  expect(await linker.claimGuestOrders({ id: 'u1', email: 'ANN@example.com' })).toEqual({ orders: 2, subscriptions: 1 })
+  expect(calls[0]).toBe(
+    'orders {"userId":null,"email":{"equals":"ann@example.com","mode":"insensitive"}} → {"userId":"u1"}'
+  )
+})
+
+test('finds duplicate customers and merges them into the chosen one', async () => {
+  const customers = [{ ...guest, metadata: {} }, { ...later, metadata: {} }]
+  const { linker, calls, user } = fakes({ customers })
+
+  const [conflict] = await linker.findConflicts()
+  expect(conflict.email).toBe('ann@example.com')
+  // Most orders wins when the account has no customer yet
+  expect(conflict.suggestedPrimaryId).toBe('cus_later')
+
+  calls.length = 0
+  const result = await linker.merge('cus_later', { actor: 'admin:sam' })
+  expect(result).toMatchObject({ primaryId: 'cus_later', merged: ['cus_guest'], keptForSubscriptions: ['cus_guest'] })
+  expect(customers[0].metadata).toMatchObject({ mergedInto: 'cus_later', mergedBy: 'admin:sam' })
+  expect(user.stripeCustomerId).toBe('cus_later')
+  expect(await linker.findConflicts()).toEqual([])
+  await expect(linker.merge('cus_later')).rejects.toMatchObject({ status: 404 })
+})
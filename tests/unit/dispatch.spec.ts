@@ -0,0 +1,19 @@
+import { test, expect } from '@playwright/test'
+import { expectedDispatchDate } from '../../lib/dispatch'
+
+const dispatch = (iso: string) => expectedDispatchDate(new Date(iso)).toISOString().slice(0, 10)
+
+test('weekday orders before the Irish cut-off ship the same day, later ones the next weekday', () => {
+  // Tue 20 Oct 2026; Ireland is on summer time (UTC+1) until 25 Oct
+  expect(dispatch('2026-10-20T12:59:00Z')).toBe('2026-10-20')
+  expect(dispatch('2026-10-20T13:00:00Z')).toBe('2026-10-21')
+  // Winter time: 14:00 in Dublin is 14:00 UTC
+  expect(dispatch('2026-11-03T13:30:00Z')).toBe('2026-11-03')
+})
+
+test('Friday afternoon and weekend orders ship on Monday', () => {
+  expect(dispatch('2026-10-23T15:00:00Z')).toBe('2026-10-26')
+  expect(dispatch('2026-10-24T09:00:00Z')).toBe('2026-10-26')
+  // Sunday 23:30 UTC is already Monday 00:30 in Dublin
+  expect(dispatch('2026-10-18T23:30:00Z')).toBe('2026-10-19')
+})
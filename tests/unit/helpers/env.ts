@@ -0,0 +1,17 @@
+// process.env for the tests in a describe block; modules that read it per call
+// (middleware, mail transport) see these values and the originals come back after.
+
+import { test } from '@playwright/test'
+
+/** Set (or, for undefined, remove) these variables around each test in the block */
+export function withEnv(env: Record<string, string | undefined>) {
+  const set = (vars: Record<string, string | undefined>) => {
+    for (const [key, value] of Object.entries(vars)) {
+      if (value === undefined) delete process.env[key]
+      else process.env[key] = value
+    }
+  }
+  const saved = Object.fromEntries(Object.keys(env).map((key) => [key, process.env[key]]))
+  test.beforeEach(() => set(env))
+  test.afterEach(() => set(saved))
+}
@@ -0,0 +1,77 @@
+// In-memory stand-ins for the Stripe, Sanity and Prisma clients the lib/ engines take.
+// A fake only spells out what a test touches; parameter types come from the real
+// client, so a renamed method or field fails the type-check instead of the test.
+
+import type Stripe from 'stripe'
+
+type Fn = (...args: never[]) => unknown
+
+// Stripe methods are overloaded as (params, options) and (options); take the first form
+type FirstParams<F> = F extends { (...args: infer A): unknown; (...args: never[]): unknown }
+  ? A
+  : F extends (...args: infer A) => unknown
+    ? A
+    : never
+
+type FakeResult<R> =
+  | (R extends PromiseLike<infer U> ? Promise<Fake<U> | void> | FakeMembers<R> : Fake<R>)
+  | void
+
+type FakeMembers<T> = { [K in keyof T]?: Fake<T[K]> }
+
+/** Deep partial of a client or record, with functions keeping their parameter types */
+export type Fake<T> = T extends Fn
+  ? (...args: FirstParams<T>) => FakeResult<ReturnType<T>>
+  : T extends readonly (infer U)[]
+    ? Fake<U>[]
+    : T extends Date
+      ? T
+      : T extends object
+        ? FakeMembers<T>
+        : T
+
+/** Use a fake where the engine wants the real thing; the only cast the specs need */
+export function fake<T>(impl: Fake<T>): T {
+  return impl as unknown as T
+}
+
+/** Calls the fakes made, as readable strings in order */
+export function recorder() {
+  const calls: string[] = []
+  const record = (call: string) => {
+    calls.push(call)
+  }
+  return { calls, record }
+}
+
+/** Sequential ids across one set of fakes: next('co') → co_1, next('promo') → promo_2 */
+export function idSequence() {
+  let n = 0
+  return (prefix: string) => `${prefix}_${++n}`
+}
+
+/** What stripe.x.list() gives the engines, which page through with autoPagingToArray */
+export function stripeList<T>(data: T[]) {
+  return { autoPagingToArray: async () => data }
+}
+
+/** Metadata as Stripe stores it from create/update params: string values, null unsets */
+export function stripeMetadata(params?: Stripe.Emptyable<Stripe.MetadataParam>, current: Partial<Stripe.Metadata> = {}) {
+  const metadata: Stripe.Metadata = {}
+  for (const [key, value] of Object.entries(current)) if (value !== undefined) metadata[key] = value
+  for (const [key, value] of Object.entries(params || {})) {
+    if (value === null || value === '') delete metadata[key]
+    else metadata[key] = String(value)
+  }
+  return metadata
+}
+
+/** Stripe's error for an unknown id */
+export function noSuch(resource: string, id: string) {
+  return Object.assign(new Error(`No such ${resource}: '${id}'`), { code: 'resource_missing', statusCode: 404 })
+}
+
+/** Prisma's unique-constraint error */
+export function uniqueViolation() {
+  return Object.assign(new Error('Unique constraint failed'), { code: 'P2002' })
+}
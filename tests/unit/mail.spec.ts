@@ -0,0 +1,38 @@
+import { test, expect } from '@playwright/test'
+import { sendMail, signInMessage } from '../../lib/mail'
+import { withEnv } from './helpers/env'
+
+const link = 'https://hormonegroup.ie/api/auth/callback/email?token=abc&email=ann%40example.com'
+
+test('the sign-in email carries the one-time link and names the site', () => {
+  const message = signInMessage('ann@example.com', link)
+  expect(message).toMatchObject({ to: 'ann@example.com', subject: 'Sign in to hormonegroup.ie' })
+  expect(message.text).toContain(link)
+  expect(message.html).toContain(`<a href="${link}">`)
+})
+
+test.describe('in development without a mail provider', () => {
+  withEnv({ NODE_ENV: 'development', MAIL_TRANSPORT: undefined, RESEND_API_KEY: undefined })
+
+  test('prints the message to the server log', async () => {
+    const logged: string[] = []
+    const log = console.log
+    console.log = (line: string) => void logged.push(line)
+    try {
+      await sendMail(signInMessage('ann@example.com', link))
+    } finally {
+      console.log = log
+    }
+    expect(logged).toHaveLength(1)
+    expect(logged[0]).toContain('To: ann@example.com')
+    expect(logged[0]).toContain(link)
+  })
+})
+
+test.describe('in production without RESEND_API_KEY', () => {
+  withEnv({ NODE_ENV: 'production', MAIL_TRANSPORT: undefined, RESEND_API_KEY: undefined })
+
+  test('refuses to send instead of dropping the sign-in link', async () => {
+    await expect(sendMail(signInMessage('ann@example.com', link))).rejects.toThrow('Missing RESEND_API_KEY')
+  })
+})
@@ -0,0 +1,46 @@
+import { test, expect } from '@playwright/test'
+import { NextRequest } from 'next/server'
+import { middleware } from '../../middleware'
+import { withEnv } from './helpers/env'
+
+const request = (authorization?: string) =>
+  new NextRequest('https://hormonegroup.ie/admin/orders', { headers: authorization ? { authorization } : {} })
+const basic = (credentials: string) => `Basic ${btoa(credentials)}`
+
+test.describe('with ADMIN_USERS', () => {
+  withEnv({ ADMIN_USERS: 'alice:secret', ADMIN_OPEN_IN_DEV: undefined })
+
+  test('lets a known user in and forwards their name', async () => {
+    const res = await middleware(request(basic('alice:secret')))
+    expect(res.status).toBe(200)
+    expect(res.headers.get('x-middleware-request-x-admin-user')).toBe('alice')
+  })
+
+  test('challenges a wrong password or a malformed header instead of failing', async () => {
+    for (const auth of [basic('alice:wrong'), basic('alice'), 'Basic %%%not-base64', undefined]) {
+      const res = await middleware(request(auth))
+      expect(res.status).toBe(401)
+      expect(res.headers.get('www-authenticate')).toContain('Basic')
+    }
+  })
+})
+
+test.describe('without ADMIN_USERS', () => {
+  test.describe('by default', () => {
+    withEnv({ ADMIN_USERS: undefined, ADMIN_OPEN_IN_DEV: undefined })
+
+    test('keeps the admin area closed', async () => {
+      expect((await middleware(request())).status).toBe(401)
+    })
+  })
+
+  test.describe('with ADMIN_OPEN_IN_DEV=true', () => {
+    withEnv({ ADMIN_USERS: undefined, ADMIN_OPEN_IN_DEV: 'true' })
+
+    test('opens it outside production', async () => {
+      const res = await middleware(request())
+      expect(res.status).toBe(200)
+      expect(res.headers.get('x-middleware-request-x-admin-user')).toBe('dev')
+    })
+  })
+})
@@ -0,0 +1,71 @@
+import { test, expect } from '@playwright/test'
+import {
+  formatMoney,
+  fromMinorUnits,
+  parseMoneyInput,
+  sumLines,
+  toDecimalString,
+  toMinorUnits,
+} from '../../lib/money'
+
+test.describe('toMinorUnits', () => {
+  test('converts whole and two-decimal amounts exactly', () => {
+    expect(toMinorUnits(69)).toBe(6900)
+    expect(toMinorUnits(69.99)).toBe(6999)
+    expect(toMinorUnits('59.5')).toBe(5950)
+    expect(toMinorUnits(1234567.89)).toBe(123456789)
+  })
+
+  test('rounds half away from zero despite binary float error', () => {
+    // 1.005 * 100 === 100.49999999999999 in IEEE 754
+    expect(toMinorUnits(1.005)).toBe(101)
+    expect(toMinorUnits(2.675)).toBe(268)
+    expect(toMinorUnits(19.995)).toBe(2000)
+    expect(toMinorUnits(0.1 + 0.2)).toBe(30)
+    expect(toMinorUnits(-1.005)).toBe(-101)
+  })
+
+  test('never returns negative zero', () => {
+    expect(Object.is(toMinorUnits(-0.004), 0)).toBe(true)
+    expect(toMinorUnits(1e-7)).toBe(0)
+  })
+
+  test('respects zero-decimal currencies', () => {
+    expect(toMinorUnits(100, 'jpy')).toBe(100)
+    expect(toMinorUnits(99.5, 'JPY')).toBe(100)
+  })
+
+  test('rejects non-numeric input', () => {
+    expect(() => toMinorUnits(NaN)).toThrow()
+    expect(() => toMinorUnits('abc')).toThrow()
+  })
+})
+
+test('fromMinorUnits and toDecimalString round-trip', () => {
+  expect(fromMinorUnits(6900)).toBe(69)
+  expect(toDecimalString(6900)).toBe('69.00')
+  expect(toDecimalString(5)).toBe('0.05')
+  expect(toDecimalString(500, 'jpy')).toBe('500')
+})
+
+test('parseMoneyInput accepts plain amounts only', () => {
+  expect(parseMoneyInput('12')).toBe(1200)
+  expect(parseMoneyInput('12.5')).toBe(1250)
+  expect(parseMoneyInput('12,50')).toBe(1250)
+  expect(parseMoneyInput(' 7.05 ')).toBe(705)
+  expect(parseMoneyInput('12.345')).toBeNull()
+  expect(parseMoneyInput('-1')).toBeNull()
+  expect(parseMoneyInput('')).toBeNull()
+  expect(parseMoneyInput('1e3')).toBeNull()
+})
+
+test('formatMoney uses the currency locale', () => {
+  expect(formatMoney(6900, 'eur')).toBe('€69.00')
+  expect(formatMoney(5900, 'gbp')).toBe('£59.00')
+  expect(formatMoney(5, 'EUR')).toBe('€0.05')
+})
+
+test('sumLines multiplies unit amounts by quantity', () => {
+  expect(sumLines([{ unitAmount: 6900, quantity: 2 }, { unitAmount: 5900, quantity: 1 }])).toBe(19700)
+  expect(sumLines([])).toBe(0)
+})
@@ -0,0 +1,31 @@
+import { test, expect } from '@playwright/test'
+import { currencyForCountry, priceField, unitAmountFor } from '../../lib/pricing'
+
+test('UK shoppers pay in GBP, everyone else in EUR', () => {
+  expect(currencyForCountry('GB')).toBe('gbp')
+  expect(currencyForCountry('gb')).toBe('gbp')
+  expect(currencyForCountry('IE')).toBe('eur')
+  expect(currencyForCountry(null)).toBe('eur')
+})
+
+test('EUR keeps the original price fields, other currencies are suffixed', () => {
+  expect(priceField('oneTime', 'eur')).toBe('stripePriceIdOneTime')
+  expect(priceField('quarter', 'eur')).toBe('stripePriceIdSubscriptionQuarterly')
+  expect(priceField('month', 'gbp')).toBe('stripePriceIdSubscriptionGBP')
+})
+
+test.describe('unitAmountFor', () => {
+  test('uses the explicit local price when set', () => {
+    expect(unitAmountFor({ priceEUR: 69, priceGBP: 59.99 }, 'gbp')).toBe(5999)
+    expect(unitAmountFor({ priceEUR: 69 }, 'eur')).toBe(6900)
+  })
+
+  test('derives GBP from EUR at the FX rate, rounded to a whole pound', () => {
+    expect(unitAmountFor({ priceEUR: 69 }, 'gbp')).toBe(5900) // 69 × 0.85 = 58.65
+  })
+
+  test('returns null without a price', () => {
+    expect(unitAmountFor({}, 'gbp')).toBeNull()
+    expect(unitAmountFor(null, 'eur')).toBeNull()
+  })
+})
@@ -0,0 +1,101 @@
+import { test, expect } from '@playwright/test'
+import type Stripe from 'stripe'
+import { createPromotionSync, stripeTerms } from '../../lib/promotions'
+import { fake, idSequence, noSuch, recorder, stripeMetadata, type Fake } from './helpers/fakes'
+
+const promo = {
+  _id: 'promo1',
+  _rev: 'r1',
+  title: 'Spring sale',
+  code: 'spring20',
+  discountType: 'percent' as const,
+  percentOff: 20,
+  active: true,
+  products: [{ _id: 'p1', stripeProductId: 'prod_1' }],
+}
+
+type Deps = Parameters<typeof createPromotionSync>[0]
+
+function fakes() {
+  const { calls, record } = recorder()
+  const nextId = idSequence()
+  const coupons: Record<string, Fake<Stripe.Coupon>> = {}
+  const codes: Record<string, Fake<Stripe.PromotionCode>> = {}
+  const patches: Record<string, Record<string, unknown>> = {}
+  const sync = createPromotionSync(
+    fake<Deps>({
+      stripe: {
+        coupons: {
+          retrieve: async (id) => coupons[id] ?? Promise.reject(noSuch('coupon', id)),
+          create: async (p) => {
+            const c = { id: nextId('co'), percent_off: p?.percent_off, metadata: stripeMetadata(p?.metadata) }
+            coupons[c.id] = c
+            record(`coupon.create ${c.id}`)
+            return c
+          },
+          del: async (id) => {
+            delete coupons[id]
+            record(`coupon.del ${id}`)
+          },
+        },
+        promotionCodes: {
+          retrieve: async (id) => codes[id] ?? Promise.reject(noSuch('promotion code', id)),
+          create: async (p) => {
+            const c = { id: nextId('promo'), code: p.code, active: true, times_redeemed: 0, metadata: stripeMetadata(p.metadata) }
+            codes[c.id] = c
+            record(`code.create ${c.id} ${c.code}`)
+            return c
+          },
+          update: async (id, p) => {
+            codes[id].active = p?.active
+            record(`code.update ${id} active=${p?.active}`)
+          },
+        },
+      },
+      sanity: {
+        fetch: async (_q, params) => patches[String(params?.sanityId)]?.stripePromotionCodeId,
+        patch: (id) => ({ set: (attrs) => ({ commit: async () => (patches[id] = { ...patches[id], ...attrs }) }) }),
+      },
+    })
+  )
+  return { sync, calls, codes, patches }
+}
+
+test('builds coupon terms per currency and refuses unprovisioned products', () => {
+  const terms = stripeTerms({ ...promo, discountType: 'amount', amountOffEUR: 10, products: [] })
+  expect(terms.coupon).toMatchObject({ amount_off: 1000, currency: 'eur', currency_options: { gbp: { amount_off: 900 } } })
+  expect(terms.coupon.applies_to).toBeUndefined()
+  expect(terms.promotionCode).toEqual({ code: 'SPRING20' })
+
+  expect(stripeTerms(promo).coupon).toMatchObject({ percent_off: 20, applies_to: { products: ['prod_1'] } })
+  expect(() => stripeTerms({ ...promo, products: [{ _id: 'p2', title: 'Cortisol' }] })).toThrow(/Cortisol/)
+  expect(() => stripeTerms({ ...promo, code: 'SPRING-20' })).toThrow(/letters and digits/)
+})
+
+test('creates once, leaves unchanged terms alone and replaces the code when terms change', async () => {
+  const { sync, calls, codes, patches } = fakes()
+  const created = await sync.sync(promo)
+  expect(created.action).toBe('create')
+  expect(patches.promo1).toMatchObject({ stripeCouponId: 'co_1', stripePromotionCodeId: 'promo_2' })
+
+  const linked = { ...promo, ...patches.promo1 }
+  expect((await sync.sync(linked)).action).toBe('none')
+
+  calls.length = 0
+  const replaced = await sync.sync({ ...linked, _rev: 'r2', percentOff: 25 })
+  expect(replaced.action).toBe('replace')
+  expect(calls).toEqual(['code.update promo_2 active=false', 'coupon.create co_3', 'code.create promo_4 SPRING20', 'coupon.del co_1'])
+
+  expect((await sync.sync({ ...linked, ...patches.promo1, percentOff: 25, active: false })).action).toBe('deactivate')
+  expect(codes.promo_4.active).toBe(false)
+})
+
+test('records redemption counts for the current code only', async () => {
+  const { sync, codes, patches } = fakes()
+  await sync.sync(promo)
+  codes.promo_2.times_redeemed = 3
+  codes.promo_2.metadata = { sanityId: 'promo1' }
+  const recorded = await sync.recordRedemptions(['promo_2', 'promo_2'])
+  expect(recorded).toEqual([{ sanityId: 'promo1', code: 'SPRING20', timesRedeemed: 3 }])
+  expect(patches.promo1.timesRedeemed).toBe(3)
+})
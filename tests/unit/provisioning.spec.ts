@@ -0,0 +1,183 @@
+import { test, expect } from '@playwright/test'
+import type Stripe from 'stripe'
+import type { Prisma } from '@prisma/client'
+import { createProvisioner, type SanityProduct } from '../../lib/provisioning'
+import { fake, idSequence, noSuch, recorder, stripeList, uniqueViolation, type Fake } from './helpers/fakes'
+
+type Deps = Parameters<typeof createProvisioner>[0]
+
+// The Stripe, Sanity and Prisma calls the engine makes, over these products and prices
+function fakes(
+  products: SanityProduct[],
+  stripePrices: Record<string, Fake<Stripe.Price>> = {},
+  stripeProducts: Fake<Stripe.Product>[] = [],
+  archivedProducts: string[] = [],
+  deletedProducts: string[] = []
+) {
+  const { calls, record } = recorder()
+  const nextId = idSequence()
+  const history: Prisma.PriceChangeCreateArgs['data'][] = []
+  const locks = new Set<string>()
+  const keys: (string | undefined)[] = []
+  const provisioner = createProvisioner(
+    fake<Deps>({
+      stripe: {
+        products: {
+          retrieve: async (id) =>
+            deletedProducts.includes(id)
+              ? Promise.reject(noSuch('product', id))
+              : { id, active: !archivedProducts.includes(id) },
+          update: async (id, p) => record(`products.update ${id} active=${p?.active}`),
+          search: async () => ({ data: stripeProducts }),
+          create: async (_p, opts) => (record(`products.create ${opts?.idempotencyKey}`), { id: 'prod_new' }),
+        },
+        prices: {
+          retrieve: async (id) => stripePrices[id] ?? Promise.reject(noSuch('price', id)),
+          create: async (p, opts) => {
+            record(`prices.create ${p.currency} ${p.unit_amount}`)
+            keys.push(opts?.idempotencyKey)
+            return { id: nextId('price') }
+          },
+          list: () => stripeList(Object.values(stripePrices).filter((p) => p.active)),
+          update: async (id, p) => record(`prices.update ${id} active=${p?.active}`),
+        },
+      },
+      sanity: {
+        fetch: async (query, params) => {
+          const doc = products.find((p) => p.slug === params?.slug || p._id === params?.id)
+          if (query.endsWith('._id')) return doc?._id
+          return query.includes('[0]') ? doc : products
+        },
+        patch: () => ({ set: () => ({ unset: () => ({ commit: async () => record('sanity.patch') }) }) }),
+      },
+      prisma: {
+        priceChange: { create: async ({ data }) => void history.push(data) },
+        provisionLock: {
+          create: async ({ data }) => {
+            if (locks.has(data.key)) throw uniqueViolation()
+            locks.add(data.key)
+            record('lock')
+          },
+          updateMany: async () => ({ count: 0 }),
+          deleteMany: async (args) => {
+            if (typeof args?.where?.key === 'string') locks.delete(args.where.key)
+            record('unlock')
+          },
+        },
+      },
+    })
+  )
+  return { provisioner, calls, history, keys }
+}
+
+const product = {
+  _id: 'p1',
+  _rev: 'rev1',
+  title: 'Thyroid Basic',
+  slug: 'thyroid-basic',
+  priceEUR: 59,
+  stripeProductId: 'prod_1',
+  stripePriceIdOneTime: 'price_eur',
+  stripePriceIdOneTimeGBP: 'price_gbp',
+}
+const current = {
+  price_eur: { id: 'price_eur', active: true, unit_amount: 5900, currency: 'eur' },
+  price_gbp: { id: 'price_gbp', active: true, unit_amount: 5000, currency: 'gbp' },
+}
+
+test('does nothing when Stripe already matches Sanity', async () => {
+  const { provisioner, calls } = fakes([product], current)
+  const result = await provisioner.provision({ slug: 'thyroid-basic' })
+  expect(result.changes).toEqual([])
+  expect(calls).toEqual(['lock', 'unlock'])
+})
+
+test('a price change creates a new price, archives the old one and records history', async () => {
+  const { provisioner, calls, history } = fakes([{ ...product, priceEUR: 65 }], current)
+  const result = await provisioner.provision({ slug: 'thyroid-basic' }, { actor: 'admin:test' })
+  expect(result.changes.map((c) => c.field)).toEqual(['stripePriceIdOneTime', 'stripePriceIdOneTimeGBP'])
+  // Sanity moves to the new prices first, so the price.updated webhook for the archival finds nothing to flag
+  expect(calls).toEqual([
+    'lock',
+    'prices.create eur 6500',
+    'prices.create gbp 5500',
+    'sanity.patch',
+    'prices.update price_eur active=false',
+    'prices.update price_gbp active=false',
+    'unlock',
+  ])
+  expect(result.prices.stripePriceIdOneTime).toMatch(/^price_\d+$/)
+  expect(history[0]).toMatchObject({ oldAmount: 5900, newAmount: 6500, changedBy: 'admin:test' })
+})
+
+test('dry run plans changes without writing', async () => {
+  const { provisioner, calls, history } = fakes([{ ...product, priceEUR: 65 }], current)
+  const result = await provisioner.provision({ slug: 'thyroid-basic' }, { dryRun: true })
+  expect(result.dryRun).toBe(true)
+  expect(result.changes).toHaveLength(2)
+  expect(calls).toEqual([])
+  expect(history).toEqual([])
+})
+
+test('bulk mode reports per-product failures instead of throwing', async () => {
+  const { provisioner } = fakes([product, { _id: 'p2', title: 'No price', slug: 'no-price' }], current)
+  const seen: number[] = []
+  const results = await provisioner.provisionAll({ concurrency: 2, onProgress: ({ done }) => seen.push(done) })
+  expect(results.map((r) => r.ok)).toEqual([true, false])
+  expect(seen).toEqual([1, 2])
+})
+
+test('reuses a Stripe product found by sanityId instead of creating another', async () => {
+  const { provisioner, calls } = fakes([{ ...product, stripeProductId: undefined }], current, [
+    { id: 'prod_existing', active: true },
+  ])
+  const result = await provisioner.provision({ slug: 'thyroid-basic' })
+  expect(result.stripeProductId).toBe('prod_existing')
+  expect(calls.some((c) => c.startsWith('products.create'))).toBe(false)
+})
+
+test('creates a missing product with a revision-based idempotency key', async () => {
+  const { provisioner, calls } = fakes([{ ...product, stripeProductId: undefined }], current)
+  await provisioner.provision({ slug: 'thyroid-basic' })
+  expect(calls).toContain('products.create provision:p1:rev1:product')
+})
+
+test('recreating a product deleted in Stripe does not replay the create that made it', async () => {
+  // Stripe only deletes a product with no prices, so its prices are gone too
+  const { provisioner, calls, keys } = fakes([product], {}, [], [], ['prod_1'])
+  const result = await provisioner.provision({ slug: 'thyroid-basic' })
+  expect(result.stripeProductId).toBe('prod_new')
+  expect(calls).toContain('products.create provision:p1:rev1:product:prod_1')
+  // Keyed to the new product, so they cannot replay prices made for the deleted one
+  expect(keys).toEqual([
+    'provision:p1:rev1:prod_new:stripePriceIdOneTime:5900:price_eur',
+    'provision:p1:rev1:prod_new:stripePriceIdOneTimeGBP:5000:price_gbp',
+  ])
+})
+
+test('concurrent runs for one product are serialised by the lock', async () => {
+  const { provisioner, calls } = fakes([{ ...product, priceEUR: 65 }], current)
+  await Promise.all([provisioner.provision({ slug: 'thyroid-basic' }), provisioner.provision({ id: 'p1' })])
+  const locking = calls.filter((c) => c === 'lock' || c === 'unlock')
+  expect(locking).toEqual(['lock', 'unlock', 'lock', 'unlock'])
+})
+
+test('republishing reactivates an archived Stripe product', async () => {
+  const { provisioner, calls } = fakes([product], current, [], ['prod_1'])
+  await provisioner.provision({ slug: 'thyroid-basic' })
+  expect(calls).toContain('products.update prod_1 active=true')
+})
+
+test('archiving a deleted product archives its Stripe product and active prices', async () => {
+  const { provisioner, calls } = fakes([], current, [{ id: 'prod_1', active: true }])
+  const result = await provisioner.archive({ id: 'p1', stripeProductId: 'prod_1' })
+  expect(result).toMatchObject({ skipped: false, products: ['prod_1'], prices: ['price_eur', 'price_gbp'] })
+  expect(calls).toContain('products.update prod_1 active=false')
+})
+
+test('archive is skipped while the published document still exists', async () => {
+  const { provisioner, calls } = fakes([product], current)
+  const result = await provisioner.archive({ id: 'p1' })
+  expect(result.skipped).toBe(true)
+  expect(calls).toEqual(['lock', 'unlock'])
+})
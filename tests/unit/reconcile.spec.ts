@@ -0,0 +1,122 @@
+import { test, expect } from '@playwright/test'
+import type Stripe from 'stripe'
+import type { SanityProduct } from '../../lib/provisioning'
+import { createReconciler } from '../../lib/reconcile'
+import { fake, noSuch, recorder, stripeList, type Fake } from './helpers/fakes'
+
+type Deps = Parameters<typeof createReconciler>[0]
+
+function fakes({
+  docs = [] as SanityProduct[],
+  products = [] as Fake<Stripe.Product>[],
+  prices = [] as Fake<Stripe.Price>[],
+  orderPrices = [] as { stripePriceId: string; _count: { _all: number } }[],
+}) {
+  const { calls, record } = recorder()
+  const reconciler = createReconciler(
+    fake<Deps>({
+      stripe: {
+        products: {
+          list: () => (record('products.list'), stripeList(products)),
+          retrieve: async (id) => products.find((p) => p.id === id) ?? Promise.reject(noSuch('product', id)),
+          update: async (id, p) => record(`products.update ${id} active=${p?.active}`),
+        },
+        prices: {
+          list: (p) =>
+            p?.product
+              ? stripeList(prices.filter((x) => x.product === p.product && x.active === p.active))
+              : (record('prices.list'), stripeList(prices)),
+          retrieve: async (id) => prices.find((p) => p.id === id) ?? Promise.reject(noSuch('price', id)),
+          update: async (id, p) => record(`prices.update ${id} active=${p?.active}`),
+        },
+      },
+      sanity: {
+        // The whole catalog, or the documents a re-check names in $id / $draftId
+        fetch: async (query, params = {}) => {
+          const named = params.id ? docs.filter((d) => d._id === params.id || d._id === params.draftId) : docs
+          if (query.endsWith('._id')) return named.map((d) => d._id)
+          return query.includes('[0]') ? (named[0] ?? null) : named
+        },
+        patch: (id) => ({ unset: () => ({ commit: async () => record(`unset ${id}`) }) }),
+      },
+      prisma: { orderItem: { groupBy: async () => orderPrices } },
+      provision: async (input) => record(`provision ${input.id}`),
+    })
+  )
+  return { reconciler, calls }
+}
+
+const doc = { _id: 'p1', slug: 'thyroid-basic', title: 'Thyroid', priceEUR: 59, stripeProductId: 'prod_1' }
+const prod1 = { id: 'prod_1', active: true, metadata: { sanityId: 'p1' } }
+const eur = { id: 'price_eur', active: true, unit_amount: 5900, currency: 'eur' }
+const gbp = { id: 'price_gbp', active: true, unit_amount: 5000, currency: 'gbp' }
+const inSync = { ...doc, stripePriceIdOneTime: 'price_eur', stripePriceIdOneTimeGBP: 'price_gbp' }
+
+test('reports nothing when everything matches', async () => {
+  const { reconciler } = fakes({ docs: [inSync], products: [prod1], prices: [eur, gbp] })
+  expect(await reconciler.findDrift()).toEqual([])
+})
+
+test('finds amount mismatches and missing prices', async () => {
+  const { reconciler } = fakes({
+    docs: [{ ...doc, priceEUR: 65, stripePriceIdOneTime: 'price_eur' }],
+    products: [prod1],
+    prices: [eur],
+  })
+  const kinds = (await reconciler.findDrift()).map((f) => f.kind)
+  expect(kinds).toEqual(['price_amount_mismatch', 'missing_price'])
+})
+
+test('finds orphaned and duplicate Stripe products and unknown order prices', async () => {
+  const { reconciler } = fakes({
+    docs: [inSync],
+    products: [
+      prod1,
+      { id: 'prod_dupe', active: true, metadata: { sanityId: 'p1' } },
+      { id: 'prod_gone', active: true, metadata: { sanityId: 'deleted-doc' } },
+    ],
+    prices: [eur, gbp],
+    orderPrices: [{ stripePriceId: 'price_old', _count: { _all: 3 } }],
+  })
+  const findings = await reconciler.findDrift()
+  expect(findings.map((f) => f.id)).toEqual([
+    'duplicate_stripe_product:prod_dupe',
+    'orphaned_stripe_product:prod_gone',
+    'order_unknown_price:price_old',
+  ])
+  expect(findings[2].fix).toBeUndefined()
+})
+
+test('fix re-checks the finding and applies its action', async () => {
+  const { reconciler, calls } = fakes({
+    docs: [inSync],
+    products: [prod1, { id: 'prod_gone', active: true, metadata: { sanityId: 'deleted-doc' } }],
+    prices: [
+      eur,
+      gbp,
+      { id: 'price_gone', active: true, product: 'prod_gone' },
+      { id: 'price_gone_old', active: false, product: 'prod_gone' },
+    ],
+  })
+  await reconciler.fix('orphaned_stripe_product:prod_gone')
+  expect(calls).toEqual(['prices.update price_gone active=false', 'products.update prod_gone active=false'])
+  await expect(reconciler.fix('price_archived:p1:stripePriceIdOneTime')).rejects.toMatchObject({ status: 404 })
+})
+
+test('a missing Stripe product is cleared and re-provisioned', async () => {
+  const { reconciler, calls } = fakes({ docs: [inSync], products: [], prices: [] })
+  await reconciler.fix('stripe_product_not_found:p1')
+  expect(calls).toEqual(['unset p1', 'provision p1'])
+})
+
+test("fix re-checks only the finding's subject, not the whole catalog", async () => {
+  const { reconciler, calls } = fakes({
+    docs: [{ ...inSync, stripePriceIdOneTime: 'price_old' }, { ...doc, _id: 'p2', stripeProductId: undefined }],
+    products: [prod1],
+    prices: [{ ...eur, id: 'price_old', active: false }, gbp],
+  })
+  await reconciler.fix('missing_stripe_product:p2')
+  await expect(reconciler.fix('duplicate_stripe_product:prod_1')).rejects.toMatchObject({ status: 404 })
+  await reconciler.fix('price_archived:p1:stripePriceIdOneTime')
+  expect(calls).toEqual(['provision p2', 'provision p1'])
+})
@@ -0,0 +1,179 @@
+import { test, expect } from '@playwright/test'
+import type Stripe from 'stripe'
+import type { Prisma } from '@prisma/client'
+import { addMonths, createRetestPlans, nextShipmentDate, resumeAfterCycles } from '../../lib/retestPlans'
+import { createStripeWebhookHandler } from '../../lib/stripeWebhook'
+import { fake, recorder, type Fake } from './helpers/fakes'
+
+const day = (iso: string) => new Date(`${iso}T00:00:00Z`)
+const unix = (iso: string) => day(iso).getTime() / 1000
+
+test('addMonths clamps to the end of shorter months', () => {
+  expect(addMonths(day('2026-01-31'), 1).toISOString().slice(0, 10)).toBe('2026-02-28')
+  expect(addMonths(day('2026-11-15'), 3).toISOString().slice(0, 10)).toBe('2027-02-15')
+})
+
+test('a pause skips exactly the requested renewals', () => {
+  const periodEnd = day('2026-11-01')
+  const resumesAt = resumeAfterCycles(periodEnd, 1, 2)
+  const next = nextShipmentDate({ periodEnd, months: 1, paused: true, resumesAt, ending: false })
+  expect(next?.toISOString().slice(0, 10)).toBe('2027-01-01')
+  expect(nextShipmentDate({ periodEnd, months: 1, paused: true, resumesAt: null, ending: false })).toBeNull()
+  expect(nextShipmentDate({ periodEnd, months: 1, paused: false, resumesAt: null, ending: true })).toBeNull()
+})
+
+type Deps = Parameters<typeof createRetestPlans>[0]
+
+function fakes() {
+  const { calls, record } = recorder()
+  const sub: Fake<Stripe.Subscription> = {
+    id: 'sub_1',
+    customer: 'cus_1',
+    status: 'active',
+    currency: 'eur',
+    metadata: {},
+    schedule: null,
+    pause_collection: null,
+    cancel_at_period_end: false,
+    cancel_at: null,
+    canceled_at: null,
+    items: {
+      data: [
+        {
+          quantity: 1,
+          current_period_start: unix('2026-10-01'),
+          current_period_end: unix('2026-11-01'),
+          price: { id: 'price_month', metadata: { sanityId: 'prod-1' }, recurring: { interval: 'month', interval_count: 1 } },
+        },
+      ],
+    },
+  }
+  const schedule: Fake<Stripe.SubscriptionSchedule> = {
+    id: 'sub_sched_1',
+    phases: [
+      { start_date: unix('2026-10-01'), end_date: unix('2026-11-01'), items: [{ price: 'price_month', quantity: 1 }] },
+    ],
+  }
+  const rows: Prisma.SubscriptionUpsertArgs['update'][] = []
+  const plans = createRetestPlans(
+    fake<Deps>({
+      stripe: {
+        subscriptions: {
+          retrieve: async () => sub,
+          update: async (_id, p) => {
+            record(`update ${JSON.stringify(p)}`)
+            sub.pause_collection = p?.pause_collection || null
+            return sub
+          },
+        },
+        subscriptionSchedules: {
+          create: async () => {
+            sub.schedule = schedule.id
+            return schedule
+          },
+          retrieve: async () => schedule,
+          release: async (id) => {
+            record(`release ${id}`)
+            sub.schedule = null
+          },
+          update: async (_id, p) => {
+            const phases = p?.phases || []
+            record(`schedule ${phases.map((ph) => ph.items[0].price).join(' → ')} ${p?.end_behavior}`)
+            schedule.phases = phases.map((ph, i) => ({
+              items: ph.items.map((item) => ({ price: item.price, quantity: item.quantity })),
+              start_date: typeof ph.start_date === 'number' ? ph.start_date : unix('2026-11-01') + i,
+            }))
+          },
+        },
+      },
+      sanity: { fetch: async () => ({ stripePriceIdSubscriptionQuarterly: 'price_quarter' }) },
+      prisma: {
+        subscription: {
+          upsert: async ({ create, update }) => {
+            rows.push(update)
+            return { id: 'row_1', stripeSubscriptionId: create.stripeSubscriptionId }
+          },
+        },
+        subscriptionEvent: {
+          create: async ({ data }) => record(`event ${data.kind} ${data.actor} ${data.note}`),
+        },
+      },
+      userIdFor: async () => 'u1',
+    })
+  )
+  return { plans, calls, rows, sub }
+}
+
+test('pausing voids renewals and mirrors the next kit date', async () => {
+  const { plans, calls, rows } = fakes()
+  await plans.pause('sub_1', 2, { actor: 'customer:u1' })
+  expect(calls[0]).toBe(`update {"pause_collection":{"behavior":"void","resumes_at":${unix('2026-12-02')}}}`)
+  expect(calls[1]).toBe('event pause customer:u1 Skipped 2 kits from 2026-11-01')
+  expect(rows[0]).toMatchObject({ nextShipmentAt: day('2027-01-01'), pausedUntil: day('2026-12-02') })
+  await expect(plans.pause('sub_1', 7, { actor: 'customer:u1' })).rejects.toMatchObject({ status: 400 })
+})
+
+test('changing the interval schedules the other price; changing back releases it', async () => {
+  const { plans, calls, rows } = fakes()
+  await plans.changeInterval('sub_1', 'quarter', { actor: 'customer:u1' })
+  expect(calls[0]).toBe('schedule price_month → price_quarter release')
+  expect(calls[1]).toBe('event change_interval customer:u1 Switching to quarterly from 2026-11-01')
+  expect(rows[0]).toMatchObject({ scheduledPriceId: 'price_quarter' })
+
+  await plans.changeInterval('sub_1', 'month', { actor: 'customer:u1' })
+  expect(calls.slice(2)).toEqual(['release sub_sched_1', 'event change_interval customer:u1 Staying monthly'])
+  expect(rows[1]).toMatchObject({ scheduledPriceId: null })
+  await expect(plans.changeInterval('sub_1', 'month', { actor: 'customer:u1' })).rejects.toMatchObject({ status: 400 })
+})
+
+test('the first quarterly period after a scheduled switch ships a kit like a renewal', async () => {
+  const { plans, sub } = fakes()
+  await plans.changeInterval('sub_1', 'quarter', { actor: 'customer:u1' })
+
+  // At the phase boundary Stripe moves the subscription to the quarterly price and bills it at once
+  const [item] = sub.items?.data ?? []
+  item.price = { id: 'price_quarter', metadata: { sanityId: 'prod-1' }, recurring: { interval: 'month', interval_count: 3 } }
+  const orders: string[] = []
+  const handleEvent = createStripeWebhookHandler(
+    fake<Parameters<typeof createStripeWebhookHandler>[0]>({
+      stripe: { subscriptions: { retrieve: async () => sub }, invoices: { retrieve: async (id) => ({ id }) } },
+      prisma: {
+        order: {
+          upsert: async ({ create }) => {
+            const items = create.items?.create
+            orders.push(`${create.stripeInvoiceId} ${Array.isArray(items) ? items.map((i) => i.stripePriceId) : ''}`)
+            return { id: 'order_1' }
+          },
+        },
+      },
+      mirrorSubscription: plans.mirror,
+    })
+  )
+  await handleEvent(
+    fake<Stripe.InvoicePaidEvent>({
+      id: 'evt_1',
+      type: 'invoice.paid',
+      data: {
+        object: {
+          id: 'in_2',
+          billing_reason: 'subscription_update',
+          currency: 'eur',
+          amount_paid: 13500,
+          parent: { subscription_details: { subscription: 'sub_1', metadata: {} } },
+          lines: {
+            data: [
+              {
+                amount: 13500,
+                currency: 'eur',
+                quantity: 1,
+                pricing: { price_details: { price: 'price_quarter' } },
+                parent: { subscription_item_details: { proration: false, subscription_item: 'si_1' } },
+              },
+            ],
+          },
+        },
+      },
+    })
+  )
+  expect(orders).toEqual(['in_2 price_quarter'])
+})
@@ -0,0 +1,98 @@
+import { test, expect } from '@playwright/test'
+import {
+  SIGNATURE_HEADER,
+  authorisedSanityWebhook,
+  needsProvisioning,
+  signSanityPayload,
+  verifySanitySignature,
+} from '../../lib/sanityWebhook'
+
+const body = JSON.stringify({ _id: 'p1', _type: 'product' })
+const secret = 'whsec_test'
+
+test.describe('verifySanitySignature', () => {
+  test('accepts a fresh signature for the exact body', () => {
+    expect(verifySanitySignature(body, signSanityPayload(body, secret), secret)).toBe(true)
+  })
+
+  test('rejects a tampered body, wrong secret or missing header', () => {
+    const header = signSanityPayload(body, secret)
+    expect(verifySanitySignature(body + ' ', header, secret)).toBe(false)
+    expect(verifySanitySignature(body, header, 'other')).toBe(false)
+    expect(verifySanitySignature(body, null, secret)).toBe(false)
+  })
+
+  test('rejects signatures outside the replay window', () => {
+    const old = Date.now() - 10 * 60 * 1000
+    expect(verifySanitySignature(body, signSanityPayload(body, secret, old), secret)).toBe(false)
+  })
+})
+
+test.describe('authorisedSanityWebhook', () => {
+  const request = (headers: Record<string, string>) => new Request('https://example.test/api/webhooks/sanity/product', { method: 'POST', headers })
+  const bearer = request({ authorization: 'Bearer provision' })
+
+  test('checks the signature when SANITY_WEBHOOK_SECRET is set', () => {
+    const env = { NODE_ENV: 'production' as const, SANITY_WEBHOOK_SECRET: secret, PROVISION_SECRET: 'provision' }
+    expect(authorisedSanityWebhook(request({ [SIGNATURE_HEADER]: signSanityPayload(body, secret) }), body, env)).toBe(true)
+    expect(authorisedSanityWebhook(bearer, body, env)).toBe(false)
+  })
+
+  test('refuses everything without the secret, bearer included', () => {
+    expect(authorisedSanityWebhook(bearer, body, { NODE_ENV: 'production', PROVISION_SECRET: 'provision' })).toBe(false)
+    expect(authorisedSanityWebhook(bearer, body, { NODE_ENV: 'development', PROVISION_SECRET: 'provision' })).toBe(false)
+  })
+
+  test('accepts the bearer only when opted in outside production', () => {
+    const optIn = { SANITY_WEBHOOK_ALLOW_BEARER: 'true', PROVISION_SECRET: 'provision' }
+    expect(authorisedSanityWebhook(bearer, body, { ...optIn, NODE_ENV: 'development' })).toBe(true)
+    expect(authorisedSanityWebhook(request({ authorization: 'Bearer wrong' }), body, { ...optIn, NODE_ENV: 'development' })).toBe(false)
+    expect(authorisedSanityWebhook(bearer, body, { ...optIn, NODE_ENV: 'production' })).toBe(false)
+  })
+})
+
+test.describe('needsProvisioning', () => {
+  const doc = {
+    priceEUR: 69,
+    flags: { subscription: false },
+    stripeProductId: 'prod_1',
+    stripePriceIdOneTime: 'price_1',
+    stripePriceIdOneTimeGBP: 'price_1_gbp',
+  }
+  const subscribable = {
+    ...doc,
+    flags: { subscription: true },
+    stripePriceIdSubscription: 'price_m',
+    stripePriceIdSubscriptionQuarterly: 'price_q',
+    stripePriceIdSubscriptionGBP: 'price_m_gbp',
+    stripePriceIdSubscriptionQuarterlyGBP: 'price_q_gbp',
+  }
+
+  test('ignores edits that do not touch pricing', () => {
+    expect(needsProvisioning(doc, { ...doc })).toBe(false)
+    expect(needsProvisioning(subscribable, { ...subscribable })).toBe(false)
+  })
+
+  test('provisions new documents, price and subscription changes, and cleared Stripe IDs', () => {
+    expect(needsProvisioning(null, doc)).toBe(true)
+    expect(needsProvisioning(doc, { ...doc, priceEUR: 75 })).toBe(true)
+    expect(needsProvisioning(doc, { ...doc, priceGBP: 59 })).toBe(true)
+    expect(needsProvisioning(doc, { ...doc, flags: { subscription: true } })).toBe(true)
+    expect(needsProvisioning(doc, { ...doc, stripePriceIdOneTime: null })).toBe(true)
+  })
+
+  test('provisions when any price ID the plan writes is cleared', () => {
+    expect(needsProvisioning(doc, { ...doc, stripeProductId: null })).toBe(true)
+    expect(needsProvisioning(doc, { ...doc, stripePriceIdOneTimeGBP: null })).toBe(true)
+    for (const field of [
+      'stripePriceIdSubscription',
+      'stripePriceIdSubscriptionQuarterly',
+      'stripePriceIdSubscriptionGBP',
+      'stripePriceIdSubscriptionQuarterlyGBP',
+    ]) {
+      expect(needsProvisioning(subscribable, { ...subscribable, [field]: null }), field).toBe(true)
+    }
+    // Subscription prices only matter while the product offers a plan
+    expect(needsProvisioning(doc, { ...doc, stripePriceIdSubscription: null })).toBe(false)
+  })
+})
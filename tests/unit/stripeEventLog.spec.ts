@@ -0,0 +1,55 @@
+import { test, expect } from '@playwright/test'
+import type Stripe from 'stripe'
+import { createStripeEventLog } from '../../lib/stripeEventLog'
+import { fake, recorder } from './helpers/fakes'
+
+type Deps = Parameters<typeof createStripeEventLog>[0]
+type Row = { id: string; type: string; status: string; error?: string | null; attempts: number }
+
+// StripeEvent rows in memory, with upsert/update applying the engine's writes
+function fakes() {
+  const { calls, record } = recorder()
+  const rows = new Map<string, Row>()
+  const eventLog = createStripeEventLog(
+    fake<Deps>({
+      prisma: {
+        stripeEvent: {
+          upsert: async ({ where, create }) => {
+            const row = rows.get(where.id!)
+            if (row) row.attempts++
+            else rows.set(create.id, { ...create, attempts: 1 })
+            return rows.get(where.id!)
+          },
+          update: async ({ where, data }) => {
+            Object.assign(rows.get(where.id!)!, data)
+          },
+        },
+      },
+    })
+  )
+  const handle = async (event: Stripe.Event) => record(`handle ${event.id}`)
+  return { eventLog, rows, calls, handle }
+}
+
+const event = fake<Stripe.Event>({ id: 'evt_1', type: 'checkout.session.completed' })
+
+test('handles an event once and skips a repeated delivery of the same ID', async () => {
+  const { eventLog, rows, calls, handle } = fakes()
+  expect(await eventLog.handleOnce(event, handle)).toBe(true)
+  expect(await eventLog.handleOnce(event, handle)).toBe(false)
+  expect(calls).toEqual(['handle evt_1'])
+  expect(rows.get('evt_1')).toMatchObject({ status: 'processed', error: null, attempts: 2 })
+})
+
+test('records a handler failure and handles the retry', async () => {
+  const { eventLog, rows, calls, handle } = fakes()
+  const failing = async () => {
+    throw new Error('Sanity unavailable')
+  }
+  await expect(eventLog.handleOnce(event, failing)).rejects.toThrow('Sanity unavailable')
+  expect(rows.get('evt_1')).toMatchObject({ status: 'failed', error: 'Sanity unavailable' })
+
+  expect(await eventLog.handleOnce(event, handle)).toBe(true)
+  expect(calls).toEqual(['handle evt_1'])
+  expect(rows.get('evt_1')).toMatchObject({ status: 'processed', error: null, attempts: 2 })
+})
@@ -0,0 +1,67 @@
+import { test, expect } from '@playwright/test'
+import type Stripe from 'stripe'
+import { createStripeImporter, draftFromStripe } from '../../lib/stripeImport'
+import { fake, recorder, stripeList, type Fake } from './helpers/fakes'
+
+type Deps = Parameters<typeof createStripeImporter>[0]
+
+const promo: Fake<Stripe.Product> = { id: 'prod_promo', name: 'Spring Hormone Check', active: true, metadata: {} }
+const linked: Fake<Stripe.Product> = { id: 'prod_1', name: 'Thyroid', active: true, metadata: { sanityId: 'p1' } }
+const prices: Fake<Stripe.Price>[] = [
+  { id: 'price_eur', type: 'one_time', currency: 'eur', unit_amount: 4900 },
+  { id: 'price_gbp', type: 'one_time', currency: 'gbp', unit_amount: 4200 },
+  { id: 'price_q', type: 'recurring', currency: 'eur', unit_amount: 4500, recurring: { interval: 'month', interval_count: 3 } },
+  { id: 'price_usd', type: 'one_time', currency: 'usd', unit_amount: 5500 },
+  { id: 'price_year', type: 'recurring', currency: 'eur', unit_amount: 40000, recurring: { interval: 'year', interval_count: 1 } },
+]
+
+test('maps prices onto draft fields and skips what the catalog cannot represent', () => {
+  const draft = draftFromStripe(fake<Stripe.Product>(promo), prices.map((p) => fake<Stripe.Price>(p)), new Set(['spring-hormone-check']))
+  expect(draft.doc).toMatchObject({
+    _id: 'drafts.stripe-prod_promo',
+    title: 'Spring Hormone Check',
+    slug: { current: 'spring-hormone-check-2' },
+    stripeProductId: 'prod_promo',
+    priceEUR: 49,
+    priceGBP: 42,
+    stripePriceIdOneTime: 'price_eur',
+    stripePriceIdOneTimeGBP: 'price_gbp',
+    stripePriceIdSubscriptionQuarterly: 'price_q',
+    flags: { subscription: true },
+  })
+  expect(draft.skipped).toEqual(['price_usd', 'price_year'])
+})
+
+test('imports unlinked products as drafts and stamps Stripe with the sanityId', async () => {
+  const { calls, record } = recorder()
+  const importer = createStripeImporter(
+    fake<Deps>({
+      stripe: {
+        products: {
+          list: () => stripeList([promo, linked]),
+          update: async (id, p) => record(`product ${id} ${p?.metadata && p.metadata.sanityId}`),
+        },
+        prices: {
+          list: () => stripeList(prices.slice(0, 2)),
+          update: async (id, p) => record(`price ${id} ${p?.metadata && p.metadata.sanityId}`),
+        },
+      },
+      sanity: {
+        fetch: async () => [],
+        createIfNotExists: async (doc) => record(`create ${doc._id}`),
+      },
+    })
+  )
+
+  const dry = await importer.importProducts({ dryRun: true })
+  expect(dry.map((r) => r.stripeProductId)).toEqual(['prod_promo'])
+  expect(calls).toEqual([])
+
+  await importer.importProducts()
+  expect(calls).toEqual([
+    'create drafts.stripe-prod_promo',
+    'product prod_promo stripe-prod_promo',
+    'price price_eur stripe-prod_promo',
+    'price price_gbp stripe-prod_promo',
+  ])
+})
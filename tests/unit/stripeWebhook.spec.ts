@@ -0,0 +1,294 @@
+import { test, expect } from '@playwright/test'
+import type Stripe from 'stripe'
+import { createStripeWebhookHandler } from '../../lib/stripeWebhook'
+import { fake, idSequence, recorder, type Fake } from './helpers/fakes'
+
+type Deps = Parameters<typeof createStripeWebhookHandler>[0]
+type StoredOrder = {
+  id: string
+  status: string
+  stripeSessionId?: string | null
+  stripeInvoiceId?: string | null
+  stripePaymentIntentId?: string | null
+  stripePriceIds: (string | null | undefined)[]
+}
+
+const nextEventId = idSequence()
+
+type SessionEvent = Extract<Stripe.Event, { data: { object: Stripe.Checkout.Session } }>
+type InvoiceEvent = Extract<Stripe.Event, { data: { object: Stripe.Invoice } }>
+
+function event(type: SessionEvent['type'], object: Fake<Stripe.Checkout.Session>): Stripe.Event {
+  return fake<SessionEvent>({ id: nextEventId('evt'), type, created: 1792300000, data: { object } })
+}
+
+function invoiceEvent(type: InvoiceEvent['type'], object: Fake<Stripe.Invoice>): Stripe.Event {
+  return fake<InvoiceEvent>({ id: nextEventId('evt'), type, created: 1792300000, data: { object } })
+}
+
+function chargeEvent(object: Fake<Stripe.Charge>): Stripe.Event {
+  return fake<Stripe.ChargeRefundedEvent>({ id: nextEventId('evt'), type: 'charge.refunded', created: 1792300000, data: { object } })
+}
+
+function disputeEvent(object: Fake<Stripe.Dispute>): Stripe.Event {
+  return fake<Stripe.ChargeDisputeClosedEvent>({ id: nextEventId('evt'), type: 'charge.dispute.closed', created: 1792300000, data: { object } })
+}
+
+function fakes() {
+  const { calls, record } = recorder()
+  const nextId = idSequence()
+  const orders: StoredOrder[] = []
+  const unpaidInvoices = new Set<string>()
+  const handleEvent = createStripeWebhookHandler(
+    fake<Deps>({
+      stripe: {
+        subscriptions: { retrieve: async (id) => ({ id, status: 'active' }) },
+        // Each invoice in_x is paid by pi_in_x; only a retrieve with payments expanded says so
+        invoices: {
+          retrieve: async (id, params) => ({
+            id,
+            payments: params?.expand?.includes('payments') && !unpaidInvoices.has(id)
+              ? { data: [{ status: 'paid', payment: { type: 'payment_intent', payment_intent: `pi_${id}` } }] }
+              : undefined,
+          }),
+        },
+        invoicePayments: {
+          list: async (params) => ({ data: [{ invoice: params?.payment?.payment_intent?.replace(/^pi_/, '') }] }),
+        },
+        refunds: {
+          list: async ({ charge } = {}) => ({ data: [{ id: `re_${charge}`, amount: 4900, currency: 'eur', status: 'succeeded' }] }),
+        },
+        checkout: {
+          sessions: {
+            retrieve: async (id) => ({
+              id,
+              line_items: {
+                data: [{ description: 'Thyroid Basic', quantity: 1, currency: 'eur', amount_tax: 0, price: { id: 'price_eur', unit_amount: 5900 } }],
+              },
+            }),
+          },
+        },
+      },
+      prisma: {
+        order: {
+          findUnique: async ({ where }) =>
+            orders.find((o) =>
+              where.stripeSessionId
+                ? o.stripeSessionId === where.stripeSessionId
+                : where.stripePaymentIntentId
+                  ? o.stripePaymentIntentId === where.stripePaymentIntentId
+                  : o.stripeInvoiceId === where.stripeInvoiceId
+            ) ?? null,
+          update: async ({ where, data }) => {
+            const order = orders.find((o) => o.id === where.id)
+            if (typeof data.stripePaymentIntentId === 'string' && order) order.stripePaymentIntentId = data.stripePaymentIntentId
+            record(`update ${where.id} ${JSON.stringify(data)}`)
+            return order
+          },
+          updateMany: async ({ where, data }) => {
+            const matched = orders.filter((o) => o.stripeInvoiceId === where?.stripeInvoiceId && !o.stripePaymentIntentId)
+            for (const o of matched) if (typeof data.stripePaymentIntentId === 'string') o.stripePaymentIntentId = data.stripePaymentIntentId
+            return { count: matched.length }
+          },
+          upsert: async ({ where, create }) => {
+            const existing = orders.find((o) =>
+              where.stripeSessionId ? o.stripeSessionId === where.stripeSessionId : o.stripeInvoiceId === where.stripeInvoiceId
+            )
+            if (existing) return existing
+            const items = create.items?.create
+            const order = {
+              id: nextId('order'),
+              status: create.status || 'paid',
+              stripeSessionId: create.stripeSessionId,
+              stripeInvoiceId: create.stripeInvoiceId,
+              stripePaymentIntentId: create.stripePaymentIntentId,
+              stripePriceIds: Array.isArray(items) ? items.map((i) => i.stripePriceId) : [],
+            }
+            orders.push(order)
+            const events = create.events?.create
+            record(`order ${order.id} ${order.status} (event: ${!Array.isArray(events) && events?.toStatus})`)
+            return order
+          },
+        },
+        refund: { upsert: async ({ create }) => (record(`refund ${create.stripeRefundId} ${create.amount}`), {}) },
+        abandonedCheckout: {
+          upsert: async ({ create }) => (record(`abandoned ${create.id} ${create.orderRef} ${create.email} ${create.amountTotal}`), {}),
+        },
+      },
+      transitionOrder: async (orderId, to, { actor, note }) => {
+        const order = orders.find((o) => o.id === orderId)
+        if (order) order.status = to
+        record(`${orderId} → ${to} by ${actor.replace(/evt_\d+/, 'evt')}: ${note}`)
+      },
+      mirrorSubscription: async (sub) => ({ id: 'row_1', stripeCustomerId: 'cus_1', email: null, userId: null, stripeSubscriptionId: sub.id }),
+      userIdFor: async () => undefined,
+      recordPromotionRedemptions: async () => [],
+    })
+  )
+  return { handleEvent, calls, orders, unpaidInvoices }
+}
+
+const session = {
+  id: 'cs_test_1',
+  mode: 'payment' as const,
+  currency: 'eur',
+  amount_total: 5900,
+  customer_details: { email: 'ann@example.com' },
+  metadata: {},
+}
+
+test('a card checkout creates a paid order', async () => {
+  const { handleEvent, calls } = fakes()
+  await handleEvent(event('checkout.session.completed', { ...session, payment_status: 'paid' }))
+  expect(calls).toEqual(['order order_1 paid (event: paid)'])
+})
+
+test('a SEPA checkout waits in pending_payment until the debit settles', async () => {
+  const { handleEvent, calls, orders } = fakes()
+  await handleEvent(event('checkout.session.completed', { ...session, payment_status: 'unpaid' }))
+  expect(calls).toEqual(['order order_1 pending_payment (event: pending_payment)'])
+
+  // A replayed completion leaves the pending order alone
+  await handleEvent(event('checkout.session.completed', { ...session, payment_status: 'unpaid' }))
+  expect(orders).toHaveLength(1)
+
+  await handleEvent(event('checkout.session.async_payment_succeeded', { ...session, payment_status: 'paid' }))
+  expect(calls[1]).toBe('order_1 → paid by stripe:evt: Delayed payment succeeded')
+  expect(orders[0].status).toBe('paid')
+})
+
+test('a failed SEPA debit cancels the pending order', async () => {
+  const { handleEvent, calls, orders } = fakes()
+  await handleEvent(event('checkout.session.completed', { ...session, payment_status: 'unpaid' }))
+  await handleEvent(event('checkout.session.async_payment_failed', { ...session, payment_status: 'unpaid' }))
+  expect(calls[1]).toBe('order_1 → cancelled by stripe:evt: Delayed payment failed')
+  expect(orders[0].status).toBe('cancelled')
+})
+
+test('a settlement that arrives before the completion fails so Stripe retries it', async () => {
+  const { handleEvent, orders } = fakes()
+  await expect(
+    handleEvent(event('checkout.session.async_payment_succeeded', { ...session, payment_status: 'paid' }))
+  ).rejects.toThrow(/No order yet/)
+  expect(orders).toEqual([])
+})
+
+// A subscription invoice: sub_1 on the quarterly price unless the lines say otherwise
+function invoice(billing_reason: Stripe.Invoice.BillingReason, lines: Fake<Stripe.InvoiceLineItem>[]): Fake<Stripe.Invoice> {
+  return {
+    id: 'in_1',
+    billing_reason,
+    customer_email: 'ann@example.com',
+    amount_paid: lines.reduce((sum, l) => sum + (l.amount ?? 0), 0),
+    currency: 'eur',
+    parent: { subscription_details: { subscription: 'sub_1', metadata: {} } },
+    lines: { data: lines },
+  }
+}
+
+function line(price: string, amount: number, proration = false): Fake<Stripe.InvoiceLineItem> {
+  return {
+    description: `Thyroid Basic (${price})`,
+    amount,
+    currency: 'eur',
+    quantity: 1,
+    pricing: { price_details: { price } },
+    parent: { subscription_item_details: { proration, subscription_item: 'si_1' } },
+  }
+}
+
+test('each paid renewal creates one kit order', async () => {
+  const { handleEvent, orders } = fakes()
+  await handleEvent(invoiceEvent('invoice.paid', invoice('subscription_cycle', [line('price_month', 4900)])))
+  await handleEvent(invoiceEvent('invoice.paid', invoice('subscription_cycle', [line('price_month', 4900)])))
+  expect(orders).toMatchObject([{ stripeInvoiceId: 'in_1', status: 'paid', stripePriceIds: ['price_month'] }])
+})
+
+test('a renewal order carries the PaymentIntent that paid its invoice', async () => {
+  const { handleEvent, orders } = fakes()
+  // The event payload never includes invoice.payments
+  await handleEvent(invoiceEvent('invoice.paid', invoice('subscription_cycle', [line('price_month', 4900)])))
+  expect(orders[0].stripePaymentIntentId).toBe('pi_in_1')
+})
+
+test('a Billing Portal switch to quarterly bills a new period at once and ships a kit for it', async () => {
+  const { handleEvent, orders } = fakes()
+  // proration_behavior 'none' (lib/billingPortal.ts): Stripe restarts the cycle and charges the quarter in full
+  await handleEvent(invoiceEvent('invoice.paid', invoice('subscription_update', [line('price_quarter', 13500)])))
+  expect(orders).toMatchObject([{ stripeInvoiceId: 'in_1', status: 'paid', stripePriceIds: ['price_quarter'] }])
+})
+
+test('an update that only bills prorations ships nothing', async () => {
+  const { handleEvent, orders } = fakes()
+  const prorations = [line('price_month', -2450, true), line('price_quarter', 6750, true)]
+  await handleEvent(invoiceEvent('invoice.paid', invoice('subscription_update', prorations)))
+  expect(orders).toEqual([])
+})
+
+test('an unpaid interval switch ships nothing until it is paid', async () => {
+  const { handleEvent, orders } = fakes()
+  await handleEvent(invoiceEvent('invoice.payment_failed', invoice('subscription_update', [line('price_quarter', 13500)])))
+  expect(orders).toEqual([])
+})
+
+const subscriptionSession = { ...session, id: 'cs_test_sub', mode: 'subscription' as const, subscription: 'sub_1', invoice: 'in_first' }
+
+test('a subscription checkout order keeps the PaymentIntent that paid its first invoice', async () => {
+  const { handleEvent, orders, calls } = fakes()
+  await handleEvent(event('checkout.session.completed', { ...subscriptionSession, payment_status: 'paid' }))
+  expect(orders[0]).toMatchObject({ stripeInvoiceId: 'in_first', stripePaymentIntentId: 'pi_in_first' })
+
+  await handleEvent(chargeEvent({ id: 'ch_1', payment_intent: 'pi_in_first', amount_refunded: 4900, refunded: true }))
+  expect(calls.slice(1)).toEqual([
+    'update order_1 {"amountRefunded":4900}',
+    'refund re_ch_1 4900',
+    'order_1 → refunded by stripe:evt: Charge fully refunded',
+  ])
+})
+
+test('a SEPA subscription order gets its PaymentIntent when the first invoice is paid', async () => {
+  const { handleEvent, orders, unpaidInvoices } = fakes()
+  unpaidInvoices.add('in_first')
+  await handleEvent(event('checkout.session.completed', { ...subscriptionSession, payment_status: 'unpaid' }))
+  expect(orders[0]).toMatchObject({ status: 'pending_payment', stripeInvoiceId: 'in_first', stripePaymentIntentId: undefined })
+
+  unpaidInvoices.delete('in_first')
+  await handleEvent(invoiceEvent('invoice.paid', { ...invoice('subscription_create', [line('price_month', 4900)]), id: 'in_first' }))
+  expect(orders).toMatchObject([{ stripeInvoiceId: 'in_first', stripePaymentIntentId: 'pi_in_first' }])
+})
+
+test('a dispute on a renewal saved without its PaymentIntent is matched through the invoice', async () => {
+  const { handleEvent, orders, calls } = fakes()
+  // Saved before renewal orders carried a PaymentIntent
+  orders.push({ id: 'order_renewal', status: 'paid', stripeInvoiceId: 'in_9', stripePriceIds: ['price_month'] })
+  await handleEvent(disputeEvent({ id: 'dp_1', payment_intent: 'pi_in_9', status: 'lost', reason: 'fraudulent' }))
+  expect(orders[0]).toMatchObject({ stripePaymentIntentId: 'pi_in_9', status: 'refunded' })
+  expect(calls).toEqual([
+    'update order_renewal {"stripePaymentIntentId":"pi_in_9"}',
+    'update order_renewal {"stripeDisputeId":"dp_1","disputeStatus":"lost","disputeReason":"fraudulent","disputeEvidenceDueBy":null}',
+    'order_renewal → refunded by stripe:evt: Dispute lost',
+  ])
+})
+
+test('a refund for a payment no order knows about is skipped', async () => {
+  const { handleEvent, calls } = fakes()
+  await handleEvent(chargeEvent({ id: 'ch_2', payment_intent: 'pi_in_unknown', amount_refunded: 100, refunded: false }))
+  expect(calls).toEqual([])
+})
+
+test('an expired checkout is kept as abandoned with its orderRef', async () => {
+  const { handleEvent, calls, orders } = fakes()
+  await handleEvent(event('checkout.session.expired', { ...session, client_reference_id: 'ref_1', payment_status: 'unpaid' }))
+  expect(calls).toEqual(['abandoned cs_test_1 ref_1 ann@example.com 5900'])
+  expect(orders).toEqual([])
+})
+
+test('an expired checkout cancels its order only while it awaits payment', async () => {
+  const { handleEvent, calls, orders } = fakes()
+  orders.push({ id: 'order_pending', status: 'pending_payment', stripeSessionId: 'cs_test_1', stripePriceIds: [] })
+  orders.push({ id: 'order_paid', status: 'paid', stripeSessionId: 'cs_test_2', stripePriceIds: [] })
+  await handleEvent(event('checkout.session.expired', { ...session, payment_status: 'unpaid' }))
+  await handleEvent(event('checkout.session.expired', { ...session, id: 'cs_test_2', payment_status: 'unpaid' }))
+  expect(calls).toEqual(['order_pending → cancelled by stripe:evt: Checkout session expired'])
+  expect(orders.map((o) => o.status)).toEqual(['cancelled', 'paid'])
+})